@@ -0,0 +1,136 @@
+// Checks for the pure data modules (feature extraction, scenarios, sensor noise, import mapping):
+// `npm run check`. Plain node + assert; the first failing check throws and exits non-zero.
+// src/ imports are extensionless (Vite resolves them), so a resolve hook adds '.js' for node.
+
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+register('data:text/javascript,' + encodeURIComponent(`
+export async function resolve(specifier, context, next) {
+    const bare = /^\\.{1,2}\\//.test(specifier) && !/\\.[cm]?jsx?$/.test(specifier);
+    return next(bare ? specifier + '.js' : specifier, context);
+}`));
+
+const { featureNames, extractWindowFeatures, extractFeatures, windowStarts } = await import('./src/utils/featureExtraction.js');
+const { applyScenarios, scenarioOnset } = await import('./src/utils/scenarioInjection.js');
+const { applySensorNoise } = await import('./src/utils/sensorNoise.js');
+const { NOISE_PROFILES } = await import('./src/config/noiseProfiles.js');
+const { matchHeaders, guessMapping, applyMapping } = await import('./src/data/importMapping.js');
+
+const check = (name, fn) => {
+    fn();
+    console.log(`ok  ${name}`);
+};
+
+// --- featureExtraction --------------------------------------------------------------------------
+
+check('windowStarts: tumbling windows drop the partial tail', () => {
+    assert.deepEqual(windowStarts(10, { windowLength: 4 }), [0, 4]);
+    assert.deepEqual(windowStarts(3, { windowLength: 4 }), []);
+});
+
+check('windowStarts: overlap shortens the step', () => {
+    assert.deepEqual(windowStarts(10, { windowLength: 4, overlap: 0.5 }), [0, 2, 4, 6]);
+    assert.deepEqual(windowStarts(6, { windowLength: 4, overlap: 0.9 }), [0, 1, 2]); // Step never below 1
+    assert.throws(() => windowStarts(10, { windowLength: 4, overlap: 1 }), /Overlap/);
+});
+
+check("featureNames: ['mean', 'std', 'sma'] keeps the original 13-feature layout", () => {
+    assert.deepEqual(featureNames({ featureSet: ['mean', 'std', 'sma'] }), [
+        'AccX_mean', 'AccX_std', 'AccY_mean', 'AccY_std', 'AccZ_mean', 'AccZ_std',
+        'GyroX_mean', 'GyroX_std', 'GyroY_mean', 'GyroY_std', 'GyroZ_mean', 'GyroZ_std',
+        'sma'
+    ]);
+    assert.throws(() => featureNames({ featureSet: ['mean', 'nope'] }), /Unknown feature/);
+});
+
+check('extractWindowFeatures: values in featureNames order', () => {
+    const buffer = [
+        { AccX: 1, AccY: -1, AccZ: 0, GyroX: 0, GyroY: 0, GyroZ: 2 },
+        { AccX: 3, AccY: -3, AccZ: 0, GyroX: 0, GyroY: 0, GyroZ: 2 }
+    ];
+    const expected = [2, Math.SQRT2, -2, Math.SQRT2, 0, 0, 0, 0, 0, 0, 2, 0, 4];
+    const features = extractWindowFeatures(buffer, { featureSet: ['mean', 'std', 'sma'] });
+    assert.equal(features.length, expected.length);
+    expected.forEach((value, i) => assert.ok(Math.abs(features[i] - value) < 1e-6, `feature ${i}: ${features[i]} != ${value}`));
+});
+
+check('extractFeatures: one vector and range per window start', () => {
+    const samples = Array.from({ length: 10 }, (_, i) => ({ AccX: i, AccY: 0, AccZ: 0, GyroX: 0, GyroY: 0, GyroZ: 0 }));
+    const { windows, ranges } = extractFeatures(samples, { windowLength: 4, overlap: 0.5, featureSet: ['mean'] });
+    assert.deepEqual(ranges, [{ start: 0, end: 4 }, { start: 2, end: 6 }, { start: 4, end: 8 }, { start: 6, end: 10 }]);
+    assert.deepEqual(windows.map(w => w[0]), [1.5, 3.5, 5.5, 7.5]);
+});
+
+// --- scenarioInjection --------------------------------------------------------------------------
+
+const row = (cow, time, fields) => ({ timestamp: new Date(time).toISOString(), cow_id: cow, ...fields });
+const T0 = new Date(2025, 0, 10, 12, 0).getTime();
+const MINUTE = 60 * 1000;
+
+check("scenarioOnset: 'HH:mm' is the last such time at or before the data end", () => {
+    assert.equal(scenarioOnset('11:30', T0), new Date(2025, 0, 10, 11, 30).getTime());
+    assert.equal(scenarioOnset('13:00', T0), new Date(2025, 0, 9, 13, 0).getTime());
+});
+
+check('applyScenarios: fever ramps in from onset, other rows pass through untouched', () => {
+    const rows = [
+        row('COW_01', T0 - 120 * MINUTE, { neck_temp_c: 38.5 }),
+        row('COW_01', T0, { neck_temp_c: 38.5 }),
+        row('COW_02', T0, { neck_temp_c: 38.5 })
+    ];
+    const out = applyScenarios(rows, [{ id: 's1', type: 'fever', cowId: 'COW_01', at: '11:00' }], null);
+    assert.equal(out[0], rows[0]);
+    assert.equal(out[2], rows[2]);
+    assert.ok(Math.abs(out[1].neck_temp_c - 40.3) < 1e-9);
+    assert.equal(out[1].health_status, undefined); // Only fields the row has are patched
+    assert.equal(rows[1].neck_temp_c, 38.5);
+});
+
+check('applyScenarios: a failed collar stops reporting after an hour', () => {
+    const rows = [0, 30, 90].map(m => row('COW_01', T0 - 90 * MINUTE + m * MINUTE, { battery_v: 3.9 }));
+    const out = applyScenarios(rows, [{ id: 's1', type: 'collar_failure', cowId: 'COW_01', at: '10:30' }], null);
+    assert.equal(out.length, 2);
+    assert.ok(Math.abs(out[1].battery_v - 3.45) < 1e-9);
+});
+
+// --- sensorNoise --------------------------------------------------------------------------------
+
+check('applySensorNoise: seeded, within limits, source untouched', () => {
+    const source = { cow_id: 'COW_01', pct_lying: 1, neck_temp_c: 38.5, health_status: 'Healthy' };
+    const profile = NOISE_PROFILES.demo;
+    const a = applySensorNoise(source, T0, profile, 42);
+    assert.deepEqual(applySensorNoise(source, T0, profile, 42), a);
+    assert.notDeepEqual(applySensorNoise(source, T0, profile, 43), a);
+    assert.ok(a.pct_lying <= 1);
+    assert.ok(Math.abs(a.neck_temp_c - 38.5) <= 0.05);
+    assert.equal(a.health_status, 'Healthy');
+    assert.deepEqual(source, { cow_id: 'COW_01', pct_lying: 1, neck_temp_c: 38.5, health_status: 'Healthy' });
+});
+
+// --- importMapping ------------------------------------------------------------------------------
+
+check('matchHeaders / guessMapping: aliases, unit hints and the timestamp fallback', () => {
+    const headers = ['Tag', 'Recorded At', 'Temp (F)', 'Batt mV'];
+    assert.deepEqual(matchHeaders(headers), { timestamp: 'Recorded At', cow_id: 'Tag', neck_temp_c: 'Temp (F)', battery_v: 'Batt mV' });
+
+    const mapping = guessMapping(headers);
+    assert.deepEqual(mapping.fields, { neck_temp_c: { column: 'Temp (F)', unit: 'F' }, battery_v: { column: 'Batt mV', unit: 'mV' } });
+
+    assert.equal(matchHeaders(['Tag', 'Temp']).timestamp, undefined);
+    assert.equal(guessMapping(['Tag', 'Temp']).timestamp.column, 'Tag');
+});
+
+check('applyMapping: converts units and timestamps', () => {
+    const mapping = {
+        timestamp: { column: 'ts', format: 'epoch_s' },
+        cow_id: { column: 'Tag' },
+        fields: { neck_temp_c: { column: 'Temp', unit: 'F' }, battery_v: { column: 'Batt', unit: 'mV' } }
+    };
+    const [out] = applyMapping([{ ts: T0 / 1000, Tag: 7, Temp: 101.3, Batt: 3900 }], mapping);
+    assert.equal(new Date(out.timestamp).getTime(), T0);
+    assert.equal(out.cow_id, '7');
+    assert.ok(Math.abs(out.neck_temp_c - 38.5) < 1e-9);
+    assert.equal(out.battery_v, 3.9);
+    assert.equal(applyMapping([{ ts: '', Tag: 7 }], mapping)[0].timestamp, '');
+});
@@ -0,0 +1,359 @@
+// Synthetic herd data generator.
+//
+//   node generate_data.cjs [--schema herd|imu|legacy] [options]
+//
+// Schemas:
+//   herd    per-minute collar summaries (the cattle_dashboard_5cows_varied_health.csv schema)
+//   imu     raw accelerometer/gyro samples (the synthetic_cow_data.csv schema), see imu_model.cjs
+//   legacy  10-minute posture classifications (the multi_cow_data_24hr.csv schema)
+//
+// Options:
+//   --cows N         herd size (default 5, legacy 10)
+//   --days N         days of data (default 1)
+//   --interval S     sampling interval in seconds (default herd 60, imu 10, legacy 600)
+//   --seed N         random seed; the same options + seed always give the same file (default 1)
+//   --mix LIST       health profile mix as profile:weight, e.g. healthy:3,lazy:1,sick_fever:1
+//                    profiles: healthy, lazy, sick_fever, sick_digestive, estrus
+//   --start DATE     first timestamp, local time (default 2025-11-30T08:00:00)
+//   --out PATH       output CSV (default public/data/generated_<schema>.csv)
+//   --decimals N     round fractional values to N decimals to keep long files small (default: full precision)
+//
+// imu only:
+//   --noise G        accelerometer white noise sd in g (default 0.01)
+//   --gyro-noise R   gyro white noise sd in rad/s (default 0.01)
+//   --collar-roll D  collars slipped up to +/- D degrees round the neck, random per cow (default 10)
+//
+// Example (regenerate the 5-cow demo file):
+//   node generate_data.cjs --mix sick_fever:1,sick_digestive:1,lazy:1,healthy:2 --out public/data/cattle_dashboard_5cows_varied_health.csv
+// Example (the 7-day file the demo farms use; npm run generate:demo, run before dev and build):
+//   node generate_data.cjs --days 7 --decimals 4 --mix sick_fever:1,sick_digestive:1,lazy:1,healthy:1,estrus:1 --out public/data/cattle_dashboard_5cows_7days.csv
+
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const { synthesizeImu, DEG } = require('./imu_model.cjs');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// --- Options ---
+
+const SCHEMA_DEFAULTS = {
+    herd: { cows: 5, interval: 60 },
+    imu: { cows: 2, interval: 10 },
+    legacy: { cows: 10, interval: 600 }
+};
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+        args[key] = value;
+    }
+    return args;
+}
+
+function parseMix(text) {
+    return text.split(',').map(part => {
+        const [profile, weight = '1'] = part.split(':');
+        if (!PROFILES[profile]) throw new Error(`Unknown health profile "${profile}" (${Object.keys(PROFILES).join(', ')})`);
+        return { profile, weight: Number(weight) };
+    });
+}
+
+// --- Seeded randomness ---
+
+// mulberry32: small, fast, good enough for synthetic data
+function createRandom(seed) {
+    let a = seed >>> 0;
+    const random = () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.between = (min, max) => min + random() * (max - min);
+    random.gaussian = (mean = 0, sd = 1) => mean + sd * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    random.pick = (weights) => {
+        const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+        let r = random() * total;
+        for (const [key, w] of Object.entries(weights)) {
+            r -= w;
+            if (r < 0) return key;
+        }
+        return Object.keys(weights)[0];
+    };
+    return random;
+}
+
+// --- Behavior ---
+
+// Share of the day per behavior, and typical bout length (minutes)
+const BEHAVIORS = ['lying', 'standing', 'rumination', 'walking', 'eating'];
+const BOUT_MINUTES = { lying: 60, standing: 20, rumination: 30, walking: 10, eating: 25 };
+
+const PROFILES = {
+    healthy: {
+        status: 'Healthy',
+        budget: { lying: 0.50, standing: 0.21, rumination: 0.17, walking: 0.04, eating: 0.08 },
+        tempC: 38.5
+    },
+    lazy: {
+        status: 'Lazy',
+        budget: { lying: 0.90, standing: 0.00, rumination: 0.06, walking: 0.02, eating: 0.02 },
+        tempC: 38.5
+    },
+    sick_fever: {
+        status: 'Sick_Fever',
+        budget: { lying: 0.92, standing: 0.08, rumination: 0, walking: 0, eating: 0 },
+        tempC: 40.2,
+        activityScale: 0.3
+    },
+    sick_digestive: {
+        status: 'Sick_Digestive',
+        budget: { lying: 0.54, standing: 0.46, rumination: 0, walking: 0, eating: 0 },
+        tempC: 38.5
+    },
+    // Healthy cow coming into heat: restless (more walking, less lying) for ~18 h
+    estrus: {
+        status: 'Healthy',
+        budget: { lying: 0.50, standing: 0.21, rumination: 0.17, walking: 0.04, eating: 0.08 },
+        heatBudget: { lying: 0.25, standing: 0.30, rumination: 0.10, walking: 0.28, eating: 0.07 },
+        tempC: 38.5
+    }
+};
+
+// Per-minute activity / rumination signal levels for each behavior
+const ACTIVITY = { lying: 0.045, standing: 0.05, rumination: 0.05, walking: 0.43, eating: 0.29 };
+const RUMINATION = { lying: 0.01, standing: 0.01, rumination: 0.41, walking: 0.01, eating: 0.01 };
+
+// Bout-based behavior sequence: one state per sample
+function behaviorTimeline(random, profile, samples, intervalMs, start, heat) {
+    const states = [];
+    let state = 'lying';
+    let remaining = 0;
+
+    for (let i = 0; i < samples; i++) {
+        if (remaining <= 0) {
+            const inHeat = heat && start + i * intervalMs >= heat.start && start + i * intervalMs < heat.end;
+            const budget = inHeat ? profile.heatBudget : profile.budget;
+
+            // Bouts are picked in proportion to budget share / bout length, so time spent matches the budget
+            const weights = {};
+            BEHAVIORS.forEach(b => { weights[b] = budget[b] / BOUT_MINUTES[b]; });
+            state = random.pick(weights);
+            remaining = Math.max(1, random.gaussian(BOUT_MINUTES[state], BOUT_MINUTES[state] / 3)) * MINUTE_MS;
+        }
+        states.push(state);
+        remaining -= intervalMs;
+    }
+    return states;
+}
+
+// --- Environment ---
+
+// Diurnal air temperature: coolest around 08:00, warmest around 20:00 (10 - 30 C)
+function envTemp(time) {
+    const d = new Date(time);
+    const hour = d.getHours() + d.getMinutes() / 60;
+    return 20 - 10 * Math.cos((2 * Math.PI * (hour - 8)) / 24);
+}
+
+// Temperature-humidity index (NRC 1971), humidity falling as the day warms
+function heatIndex(tempC) {
+    const rh = 0.85 - (tempC - 10) * 0.0125;
+    return 0.8 * tempC + rh * (tempC - 14.4) + 46.4;
+}
+
+// Collar battery: drains ~0.4 V per day and is swapped for a charged one at BATTERY_SWAP_V
+const BATTERY_SWAP_V = 3.5;
+function batteryVoltage(start, elapsedMs) {
+    const drained = (0.4 * elapsedMs) / DAY_MS;
+    return start - (drained % (start - BATTERY_SWAP_V));
+}
+
+const timestamp = (time) => {
+    const d = new Date(time);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+};
+
+// --- Schemas ---
+
+// Pasture centre the herd grazes around (inside the demo farm's fence)
+const HOME = { lat: 43.0465, lng: -81.2995 };
+
+function generateHerd(random, herd, { start, samples, intervalMs }) {
+    const rows = [];
+
+    herd.forEach(cow => {
+        const profile = PROFILES[cow.profile];
+        const heat = cow.profile === 'estrus'
+            ? { start: start + random.between(0.2, 0.5) * samples * intervalMs, end: 0 }
+            : null;
+        if (heat) heat.end = heat.start + 18 * 60 * MINUTE_MS;
+
+        const states = behaviorTimeline(random, profile, samples, intervalMs, start, heat);
+        let lat = HOME.lat + random.gaussian(0, 0.0008);
+        let lng = HOME.lng + random.gaussian(0, 0.0008);
+        const batteryStart = random.between(4.1, 4.2);
+
+        states.forEach((state, i) => {
+            const time = start + i * intervalMs;
+            const env = envTemp(time);
+            const activityScale = profile.activityScale || 1;
+
+            // Grazing drift: cows move when walking/eating, barely when lying
+            const step = state === 'walking' ? 0.00004 : state === 'eating' ? 0.00001 : 0.000002;
+            lat += random.gaussian(0, step) + (HOME.lat - lat) * 0.002;
+            lng += random.gaussian(0, step) + (HOME.lng - lng) * 0.002;
+
+            rows.push({
+                timestamp: timestamp(time),
+                activity_index: ACTIVITY[state] * activityScale * random.between(0.95, 1.05),
+                rumination_level: RUMINATION[state] * random.between(0.95, 1.05),
+                pct_lying: state === 'lying' ? 1 : 0,
+                pct_standing: state === 'standing' ? 1 : 0,
+                pct_rumination: state === 'rumination' ? 1 : 0,
+                pct_walking: state === 'walking' ? 1 : 0,
+                pct_eating: state === 'eating' ? 1 : 0,
+                cow_id: cow.id,
+                health_status: profile.status,
+                neck_temp_c: profile.tempC + 0.5 * Math.sin((2 * Math.PI * i * intervalMs) / DAY_MS) + random.gaussian(0, 0.05),
+                env_temp_c: env,
+                heat_index: heatIndex(env),
+                battery_v: batteryVoltage(batteryStart, i * intervalMs),
+                gps_lat: lat,
+                gps_long: lng,
+                label_estrus: heat && time >= heat.start && time < heat.end ? 1 : 0
+            });
+        });
+    });
+
+    return rows;
+}
+
+function generateImu(random, herd, { start, samples, intervalMs, imu }) {
+    const rows = [];
+
+    herd.forEach(cow => {
+        const states = behaviorTimeline(random, PROFILES[cow.profile], samples, intervalMs, start, null);
+        const collarRoll = random.between(-imu.collarRollDeg, imu.collarRollDeg) * DEG;
+
+        synthesizeImu(random, states, { intervalMs, noise: imu.noise, gyroNoise: imu.gyroNoise, collarRoll }).forEach((sample, i) => {
+            const { Classification, ...axes } = sample;
+            rows.push({ AnimalID: cow.id, ...axes, Timestamp: timestamp(start + i * intervalMs), Classification });
+        });
+    });
+
+    return rows;
+}
+
+// State mapping: 0=Lying, 1=Standing, 2=Eating
+const LEGACY_STATE = { lying: 0, rumination: 0, standing: 1, walking: 1, eating: 2 };
+
+function generateLegacy(random, herd, { start, samples, intervalMs }) {
+    const rows = [];
+
+    herd.forEach((cow, i) => {
+        const meta = {
+            Age: 2 + Math.floor(random() * 6),
+            Breed: i % 2 === 0 ? 'Holstein' : 'Jersey',
+            Color: i % 3 === 0 ? 'Black/White' : i % 3 === 1 ? 'Brown' : 'Spotted',
+            Image: `https://api.dicebear.com/7.x/avataaars/svg?seed=${cow.id}`
+        };
+
+        behaviorTimeline(random, PROFILES[cow.profile], samples, intervalMs, start, null).forEach((state, step) => {
+            rows.push({
+                AnimalID: cow.id,
+                Timestamp: new Date(start + step * intervalMs).toISOString(),
+                Classification: LEGACY_STATE[state],
+                ...meta
+            });
+        });
+    });
+
+    return rows;
+}
+
+const SCHEMAS = {
+    herd: { generate: generateHerd, cowId: (n) => `COW_${String(n).padStart(2, '0')}` },
+    imu: { generate: generateImu, cowId: (n) => `Cow ${100 + n}` },
+    legacy: { generate: generateLegacy, cowId: (n) => `${99 + n}` }
+};
+
+// --- Main ---
+
+function roundValues(row, decimals) {
+    const scale = 10 ** decimals;
+    const out = {};
+    Object.entries(row).forEach(([key, value]) => {
+        out[key] = typeof value === 'number' && !Number.isInteger(value) ? Math.round(value * scale) / scale : value;
+    });
+    return out;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').split(/\r?\n\r?\n/)[0].replace(/^\/\/ ?/gm, ''));
+        return;
+    }
+
+    const schemaName = args.schema || 'herd';
+    const schema = SCHEMAS[schemaName];
+    if (!schema) throw new Error(`Unknown schema "${schemaName}" (${Object.keys(SCHEMAS).join(', ')})`);
+
+    const defaults = SCHEMA_DEFAULTS[schemaName];
+    const cows = Number(args.cows || defaults.cows);
+    const days = Number(args.days || 1);
+    const intervalMs = Number(args.interval || defaults.interval) * 1000;
+    const seed = Number(args.seed || 1);
+    const mix = parseMix(args.mix || 'healthy:2,lazy:1,sick_fever:1,sick_digestive:1');
+    const start = new Date(args.start || '2025-11-30T08:00:00').getTime();
+    const imu = {
+        noise: Number(args.noise ?? 0.01),
+        gyroNoise: Number(args['gyro-noise'] ?? 0.01),
+        collarRollDeg: Number(args['collar-roll'] ?? 10)
+    };
+    const out = path.resolve(args.out || path.join(__dirname, `public/data/generated_${schemaName}.csv`));
+    const decimals = args.decimals === undefined ? null : Number(args.decimals);
+
+    if (!(cows > 0) || !(days > 0) || !(intervalMs > 0) || Number.isNaN(start)) {
+        throw new Error('--cows, --days and --interval must be positive and --start a valid date');
+    }
+    if (decimals !== null && !(Number.isInteger(decimals) && decimals >= 0)) {
+        throw new Error('--decimals must be a whole number');
+    }
+
+    const random = createRandom(seed);
+
+    // Spread profiles over the herd in proportion to the mix weights (deterministic order)
+    const totalWeight = mix.reduce((sum, m) => sum + m.weight, 0);
+    const herd = [];
+    mix.forEach(({ profile, weight }) => {
+        const count = Math.round((weight / totalWeight) * cows);
+        for (let i = 0; i < count && herd.length < cows; i++) herd.push(profile);
+    });
+    while (herd.length < cows) herd.push(mix[0].profile);
+
+    const animals = herd.map((profile, i) => ({ id: schema.cowId(i + 1), profile }));
+    animals.forEach(a => console.log(`Generating ${days} day(s) for ${a.id} (${a.profile})...`));
+
+    const rows = schema.generate(random, animals, { start, samples: Math.floor((days * DAY_MS) / intervalMs), intervalMs, imu });
+
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    const rounded = decimals === null ? rows : rows.map(row => roundValues(row, decimals));
+    fs.writeFileSync(out, Papa.unparse(rounded));
+    console.log(`Successfully generated ${rows.length} rows to ${out}`);
+}
+
+try {
+    main();
+} catch (e) {
+    console.error('Generation failed:', e.message);
+    process.exit(1);
+}
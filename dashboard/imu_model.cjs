@@ -0,0 +1,167 @@
+// Physiological model of a neck-collar IMU, used by generate_data.cjs --schema imu.
+//
+// Sensor frame (collar box hanging under the neck): X points forward along the neck, Y up when the
+// head is level, Z to the cow's side. Accelerometer in g, gyro in rad/s.
+//
+//   static   gravity from head pitch (lowered head tips gravity from Y into X) and neck roll
+//            (lying with the neck turned tips it into Z)
+//   dynamic  gait: vertical bounce and forward surge twice per stride, lateral sway and yaw once
+//            jaw:   chewing / biting vibration at the jaw-movement frequency
+//            head:  slow head swings while grazing, breathing while lying
+//   sensor   white noise per axis, plus a per-cow collar rotation about the neck (X) axis
+
+const DEG = Math.PI / 180;
+
+// Per-behavior posture (degrees) and motion. Ranges are drawn once per bout.
+const BEHAVIORS = {
+    lying: {
+        label: 'Lying',
+        pitch: [0, 20], roll: [70, 90],
+        breathingHz: [0.3, 0.5]
+    },
+    standing: {
+        label: 'Standing',
+        pitch: [-5, 15], roll: [-8, 8],
+        sway: 0.01
+    },
+    walking: {
+        label: 'Walking',
+        pitch: [10, 25], roll: [-5, 5],
+        strideHz: [0.8, 1.1], bounce: 0.15, surge: 0.08, lateral: 0.06, yawRate: 0.25
+    },
+    eating: {
+        label: 'Eating',
+        pitch: [50, 75], roll: [-15, 15],
+        jawHz: [0.8, 1.2], jaw: 0.06, headSwingHz: [0.1, 0.3], headSwing: 0.35, stepEverySec: 30
+    },
+    // Ruminating: chewing ~1.1 Hz in ~50 s cycles, a few seconds' pause for each new bolus
+    rumination: {
+        pitch: [0, 15],
+        jawHz: [1.0, 1.3], jaw: 0.03, chewCycleSec: [45, 60], bolusPauseSec: 5
+    }
+};
+
+// Rumination happens lying down most of the time
+const RUMINATION_POSTURES = { lying: 0.7, standing: 0.3 };
+
+function rotateAboutX([x, y, z], angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return [x, c * y - s * z, s * y + c * z];
+}
+
+// Bout parameters: posture angles, frequencies and phases fixed for the whole bout
+function boutParams(random, state) {
+    const posture = state === 'rumination' ? random.pick(RUMINATION_POSTURES) : state;
+    const base = BEHAVIORS[posture];
+    const spec = state === 'rumination' ? { ...base, ...BEHAVIORS.rumination } : base;
+    const draw = (range) => (range ? random.between(range[0], range[1]) : 0);
+
+    return {
+        label: state === 'rumination' ? `${base.label} (Ruminating)` : base.label,
+        spec,
+        pitch: draw(spec.pitch) * DEG,
+        roll: draw(spec.roll) * DEG * (posture === 'lying' && random() < 0.5 ? -1 : 1), // Lying on either side
+        strideHz: draw(spec.strideHz),
+        jawHz: draw(spec.jawHz),
+        headSwingHz: draw(spec.headSwingHz),
+        breathingHz: draw(spec.breathingHz),
+        chewCycleSec: draw(spec.chewCycleSec),
+        phase: random() * 2 * Math.PI
+    };
+}
+
+// Noise-free acceleration and angular rate at time t (seconds since bout start)
+function bodyMotion(bout, t) {
+    const { spec, phase } = bout;
+    const wave = (hz, shift = 0) => Math.sin(2 * Math.PI * hz * t + phase + shift);
+
+    // Gravity in the sensor frame from head pitch and neck roll
+    const acc = [
+        Math.sin(bout.pitch),
+        Math.cos(bout.pitch) * Math.cos(bout.roll),
+        Math.cos(bout.pitch) * Math.sin(bout.roll)
+    ];
+    const gyro = [0, 0, 0];
+
+    if (bout.strideHz) {
+        acc[1] += spec.bounce * wave(2 * bout.strideHz);
+        acc[0] += spec.surge * wave(2 * bout.strideHz, Math.PI / 2);
+        acc[2] += spec.lateral * wave(bout.strideHz);
+        gyro[1] += spec.yawRate * wave(bout.strideHz, Math.PI / 2); // Head yaw with each stride
+        gyro[0] += 0.5 * spec.yawRate * wave(bout.strideHz);
+    }
+
+    if (bout.jawHz) {
+        // Rumination pauses while the next bolus comes up
+        const chewing = !spec.bolusPauseSec || (t % bout.chewCycleSec) > spec.bolusPauseSec;
+        if (chewing) {
+            acc[0] += spec.jaw * wave(bout.jawHz);
+            acc[1] += 0.5 * spec.jaw * wave(bout.jawHz, Math.PI / 3);
+            gyro[2] += 4 * spec.jaw * wave(bout.jawHz, Math.PI / 2); // Jaw nods the head
+        }
+    }
+
+    if (bout.headSwingHz) {
+        gyro[1] += spec.headSwing * wave(bout.headSwingHz); // Sweeping the sward side to side
+        acc[2] += 0.1 * spec.headSwing * wave(bout.headSwingHz, Math.PI / 2);
+    }
+
+    if (spec.stepEverySec && (t % spec.stepEverySec) < 2) {
+        acc[1] += 0.1 * wave(2, Math.PI); // A step forward to the next patch
+    }
+
+    if (bout.breathingHz) {
+        acc[2] += 0.005 * wave(bout.breathingHz);
+        gyro[0] += 0.01 * wave(bout.breathingHz, Math.PI / 2);
+    }
+
+    if (spec.sway) {
+        acc[2] += spec.sway * wave(0.2);
+        gyro[1] += 2 * spec.sway * wave(0.2, Math.PI / 2);
+    }
+
+    return { acc, gyro };
+}
+
+/**
+ * Raw IMU samples for one cow's behavior sequence.
+ * @param {Function} random - Seeded generator (generate_data.cjs createRandom)
+ * @param {Array<string>} states - One behavior per sample: lying, standing, walking, eating, rumination
+ * @param {{intervalMs: number, noise: number, gyroNoise: number, collarRoll: number}} options
+ *   noise / gyroNoise: white noise sd (g, rad/s); collarRoll: radians the collar has slipped round the neck
+ * @returns {Array<{AccX, AccY, AccZ, GyroX, GyroY, GyroZ, Classification}>}
+ */
+function synthesizeImu(random, states, { intervalMs, noise, gyroNoise, collarRoll }) {
+    const samples = [];
+    let bout = null;
+    let boutStart = 0;
+
+    states.forEach((state, i) => {
+        if (i === 0 || state !== states[i - 1]) {
+            bout = boutParams(random, state);
+            boutStart = i;
+        }
+
+        // Sample instant with a little clock jitter, so low-rate sampling doesn't phase-lock to the motion
+        const t = ((i - boutStart) * intervalMs) / 1000 + random.between(0, 0.5);
+        const { acc, gyro } = bodyMotion(bout, t);
+
+        const [ax, ay, az] = rotateAboutX(acc, collarRoll);
+        const [gx, gy, gz] = rotateAboutX(gyro, collarRoll);
+
+        samples.push({
+            AccX: ax + random.gaussian(0, noise),
+            AccY: ay + random.gaussian(0, noise),
+            AccZ: az + random.gaussian(0, noise),
+            GyroX: gx + random.gaussian(0, gyroNoise),
+            GyroY: gy + random.gaussian(0, gyroNoise),
+            GyroZ: gz + random.gaussian(0, gyroNoise),
+            Classification: bout.label
+        });
+    });
+
+    return samples;
+}
+
+module.exports = { synthesizeImu, DEG };
@@ -1,85 +1,139 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import Sidebar from './components/layout/Sidebar';
 import TopNav from './components/layout/TopNav';
+import ModelStatusAlert from './components/layout/ModelStatusAlert';
+import InferenceDiagnostics from './components/layout/InferenceDiagnostics';
+import ScenarioPanel from './components/layout/ScenarioPanel';
+import DataQualityPanel from './components/layout/DataQualityPanel';
+import ImportDropZone from './components/layout/ImportWizard';
+import DataSourceGate from './components/layout/DataSourceGate';
+import UpdatePrompt from './components/layout/UpdatePrompt';
+import SimulationClockProvider from './components/layout/SimulationClockProvider';
+import TimelineScrubber from './components/layout/TimelineScrubber';
+import { FarmContext, useFarm } from './hooks/useFarm';
+import { useFarmImport } from './hooks/useImportedData';
+import { DEFAULT_FARM, getFarm, getAnimal } from './config/farms';
 import PostureView from './modules/posture/PostureView';
 
 import BehaviorView from './modules/behavior/BehaviorView';
 import HealthView from './modules/health/HealthView';
 import EnvironmentView from './modules/environment/EnvironmentView';
 import OverviewView from './modules/overview/OverviewView';
+import EvaluationView from './modules/evaluation/EvaluationView';
 
 function App() {
-  const [activeFarm, setActiveFarm] = useState('farm1');
+  const [activeFarm, setActiveFarm] = useState(DEFAULT_FARM);
   const [activeModule, setActiveModule] = useState('overview'); // Default to Overview
   const [selectedAnimal, setSelectedAnimal] = useState(null); // For Details Panel
 
+  // A dropped CSV replaces the farm's data source (and herd list) or its IMU source until reverted
+  const imported = useFarmImport(activeFarm);
+  const farm = useMemo(() => {
+    let config = getFarm(activeFarm);
+    if (imported?.telemetry) config = { ...config, dataSource: imported.telemetry.source, herd: [] };
+    if (imported?.imu) config = { ...config, imuSource: imported.imu.source };
+    return config;
+  }, [activeFarm, imported]);
+
+  // Switching farms clears the selection; the keyed content below remounts every module
+  const selectFarm = (id) => {
+    setActiveFarm(id);
+    setSelectedAnimal(null);
+  };
+
   return (
-    <div className="min-h-screen bg-[#f0f9ff] text-slate-800 font-sans flex">
-      {/* 1. Left Sidebar */}
-      <Sidebar activeFarm={activeFarm} onSelectFarm={setActiveFarm} />
-
-      {/* Main Content Wrapper */}
-      <div className="flex-1 flex flex-col ml-20 relative">
-        {/* 2. Top Navigation */}
-        <TopNav activeModule={activeModule} onSelectModule={setActiveModule} />
-
-        {/* Content Area (Grid for Chart + Details) */}
-        <div className="flex-1 pt-[45px] p-6 grid grid-cols-1 lg:grid-cols-4 gap-8 pb-8">
-
-          {/* 3. Main Chart Area (Takes 3 cols) */}
-          <div className="lg:col-span-3 flex flex-col h-[650px] mt-4 overflow-hidden rounded-3xl shadow-pop bg-white border border-slate-100 relative z-10">
-            {activeModule === 'posture' && (
-              <PostureView isActive={true} onSelectData={(data) => setSelectedAnimal(data)} />
-            )}
-            {activeModule === 'behavior' && <BehaviorView selectedCow={selectedAnimal?.id} onSelectCow={(id) => setSelectedAnimal({ id })} />}
-            {activeModule === 'health' && <HealthView selectedCow={selectedAnimal?.id} onSelectCow={(id) => setSelectedAnimal({ id })} />}
-            {activeModule === 'env' && <EnvironmentView selectedCow={selectedAnimal?.id} onSelectCow={(id) => setSelectedAnimal({ id })} />}
-            {activeModule === 'overview' && <OverviewView />}
-
-            {!['posture', 'behavior', 'health', 'env', 'overview'].includes(activeModule) && (
-              <div className="flex-1 flex flex-col items-center justify-center p-12 text-center">
-                <div className="w-20 h-20 bg-blue-100 rounded-full flex items-center justify-center mb-6 text-blue-500">
-                  <span className="text-4xl">🚧</span>
+    <FarmContext.Provider value={farm}>
+      <SimulationClockProvider>
+        <div className="min-h-screen bg-[#f0f9ff] text-slate-800 font-sans flex">
+          {/* 1. Left Sidebar */}
+          <Sidebar activeFarm={activeFarm} onSelectFarm={selectFarm} />
+
+          {/* Main Content Wrapper */}
+          <div className="flex-1 flex flex-col ml-20 relative">
+            {/* 2. Top Navigation */}
+            <TopNav activeModule={activeModule} onSelectModule={setActiveModule} />
+
+            {/* Content Area (Grid for Chart + Details) */}
+            <div key={activeFarm} className="flex-1 pt-[45px] p-6 grid grid-cols-1 lg:grid-cols-4 gap-8 pb-8">
+
+              {/* 3. Main Chart Area (Takes 3 cols) */}
+              <div className="lg:col-span-3 flex flex-col h-[650px] mt-4 overflow-hidden rounded-3xl shadow-pop bg-white border border-slate-100 relative z-10">
+                <div className="flex-1 min-h-0 flex flex-col">
+                  <DataSourceGate>
+                    {activeModule === 'posture' && (
+                      <PostureView isActive={true} onSelectData={(data) => setSelectedAnimal(data)} />
+                    )}
+                    {activeModule === 'behavior' && <BehaviorView selectedCow={selectedAnimal?.id} onSelectCow={(id) => setSelectedAnimal({ id })} />}
+                    {activeModule === 'health' && <HealthView selectedCow={selectedAnimal?.id} onSelectCow={(id) => setSelectedAnimal({ id })} />}
+                    {activeModule === 'env' && <EnvironmentView selectedCow={selectedAnimal?.id} onSelectCow={(id) => setSelectedAnimal({ id })} />}
+                    {activeModule === 'overview' && <OverviewView />}
+                    {activeModule === 'eval' && <EvaluationView />}
+
+                    {!['posture', 'behavior', 'health', 'env', 'overview', 'eval'].includes(activeModule) && (
+                      <div className="flex-1 flex flex-col items-center justify-center p-12 text-center">
+                        <div className="w-20 h-20 bg-blue-100 rounded-full flex items-center justify-center mb-6 text-blue-500">
+                          <span className="text-4xl">🚧</span>
+                        </div>
+                        <h2 className="text-3xl font-bold text-slate-700 mb-2">Coming Soon</h2>
+                        <p className="text-slate-400">The {activeModule} module is in development.</p>
+                      </div>
+                    )}
+                  </DataSourceGate>
                 </div>
-                <h2 className="text-3xl font-bold text-slate-700 mb-2">Coming Soon</h2>
-                <p className="text-slate-400">The {activeModule} module is in development.</p>
+
+                {/* Replay Scrubber (shared clock) */}
+                <TimelineScrubber />
+              </div>
+
+              {/* 4. Details Panel (Takes 1 col) */}
+              <div className="lg:col-span-1 h-[650px] mt-4">
+                <DetailsPanel data={selectedAnimal} />
               </div>
-            )}
-          </div>
 
-          {/* 4. Details Panel (Takes 1 col) */}
-          <div className="lg:col-span-1 h-[650px] mt-4">
-            <DetailsPanel data={selectedAnimal} />
+            </div>
           </div>
 
+          {/* 5. Model Registry Mismatches (hidden when all models validate) */}
+          <ModelStatusAlert />
+
+          {/* 6. Inference Backend & Latency */}
+          <InferenceDiagnostics />
+
+          {/* 7. Simulator Scenarios (active farm) */}
+          <ScenarioPanel />
+
+          {/* 8. Schema / Data-Quality Report */}
+          <DataQualityPanel />
+
+          {/* 9. Drag-and-Drop Vendor CSV Import */}
+          <ImportDropZone />
+
+          {/* 10. New App / Model Version (offline build) */}
+          <UpdatePrompt />
         </div>
-      </div>
-    </div>
+      </SimulationClockProvider>
+    </FarmContext.Provider>
   );
 }
 
 
 
 import { useCowData } from './hooks/useCowData';
-
-// Static Metadata for the 5 Cows
-const COW_METADATA = {
-  'COW_01': { age: 4, breed: 'Holstein', color: 'Black/White', img: 'https://images.unsplash.com/photo-1570042225831-d98fa7577f1e?q=80&w=2070&auto=format&fit=crop' },
-  'COW_02': { age: 3, breed: 'Jersey', color: 'Brown', img: 'https://images.unsplash.com/photo-1527153857715-3908f2bae5e8?q=80&w=1921&auto=format&fit=crop' },
-  'COW_03': { age: 5, breed: 'Holstein', color: 'Spotted', img: 'https://images.unsplash.com/photo-1546445317-29f4545e9d53?q=80&w=2000&auto=format&fit=crop' },
-  'COW_04': { age: 2, breed: 'Guernsey', color: 'Red/White', img: 'https://images.unsplash.com/photo-1500595046743-cd271d694d30?q=80&w=2074&auto=format&fit=crop' },
-  'COW_05': { age: 6, breed: 'Holstein', color: 'Black', img: 'https://images.unsplash.com/photo-1596733430284-f7437764b1a9?q=80&w=2070&auto=format&fit=crop' }
-};
+import { useLiveSimulation } from './hooks/useLiveSimulation';
+import { useSimulationClock } from './hooks/useSimulationClock';
 
 function DetailsPanel({ data }) {
-  const { data: allData } = useCowData();
+  const farm = useFarm();
+  const { data: allData, cows } = useCowData();
+  const { getCowRows, currentTime } = useLiveSimulation(allData);
+  const { sampleMs } = useSimulationClock();
 
   // Determine Mode: Legacy (Posture) vs New (Behavior/Health)
   // Legacy passes full object with breed/age/etc. New passes { id: 'COW_XX' } or null.
   const isLegacyData = data && data.breed;
 
   // 1. Determine ID
-  const id = data?.id || "COW_01";
+  const id = data?.id || farm.herd[0]?.id || cows[0] || "COW_01";
 
   // 2. Get Metadata & Status
   let displayData = {};
@@ -94,29 +148,29 @@ function DetailsPanel({ data }) {
       img: data.image || `https://api.dicebear.com/7.x/avataaars/svg?seed=${id}`,
       status: data.stats?.eating < 10 ? "Attention" : "Healthy",
       lastEvent: "Live Stream",
+      group: "Herd B",
       isSick: false // Legacy data doesn't have sick status in the same way
     };
   } else {
-    // --- NEW MODE (5 Cows CSV) ---
-    const meta = COW_METADATA[id] || COW_METADATA['COW_01'];
-
-    // Get Latest Dynamic Data from CSV
-    let latestRow = null;
-    if (allData && allData.length > 0) {
-      const cowRows = allData.filter(r => r.cow_id === id);
-      cowRows.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-      latestRow = cowRows[0];
-    }
+    // --- NEW MODE (Farm Herd) ---
+    const meta = getAnimal(farm, id);
+
+    // Get Latest Dynamic Data from CSV (as of the simulation clock)
+    const latestRow = getCowRows(id).at(-1) || null;
+
+    // Nothing for over two samples while the clock runs on: collar offline (or a collar-failure scenario)
+    const isOffline = latestRow && currentTime && currentTime.getTime() - new Date(latestRow.timestamp).getTime() > 2 * sampleMs;
 
     displayData = {
       id: id,
-      age: `${meta.age} years`,
+      age: meta.age ? `${meta.age} years` : 'Unknown',
       breed: meta.breed,
       color: meta.color,
       img: meta.img,
-      status: latestRow?.health_status || "Unknown",
+      status: isOffline ? "No Data" : latestRow?.health_status || "Unknown",
       lastEvent: latestRow ? new Date(latestRow.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : "Loading...",
-      isSick: (latestRow?.health_status || "").toLowerCase().includes('sick')
+      group: meta.group,
+      isSick: isOffline || (latestRow?.health_status || "").toLowerCase().includes('sick')
     };
   }
 
@@ -164,7 +218,7 @@ function DetailsPanel({ data }) {
             statusType={displayData.isSick ? 'Attention' : 'Healthy'}
           />
           <DetailItem label="Last Event" value={displayData.lastEvent} />
-          <DetailItem label="Group" value="Herd B" />
+          <DetailItem label="Group" value={displayData.group} />
         </div>
 
         <button className="w-full py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold rounded-lg shadow-md transition-all active:scale-95 mb-4">
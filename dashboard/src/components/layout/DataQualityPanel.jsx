@@ -0,0 +1,101 @@
+import React, { useState, useMemo } from 'react';
+import { ShieldCheck, ShieldAlert, X } from 'lucide-react';
+import { useCowData } from '../../hooks/useCowData';
+import { SCHEMAS } from '../../data/schemas';
+import { seriesIssues } from '../../data/validation';
+
+const DATASETS = [
+    { id: 'telemetry', label: 'Herd telemetry' },
+    { id: 'imu', label: 'Raw IMU' }
+];
+
+const SEVERITY_STYLES = {
+    error: 'bg-red-50 border-red-200 text-red-700',
+    warning: 'bg-orange-50 border-orange-200 text-orange-700'
+};
+
+// Issues for one dataset: row checks from load time + series checks (computed here, on demand)
+function QualityReport({ dataset }) {
+    const { data, cows, loading, quality } = useCowData(dataset);
+    const series = useMemo(() => seriesIssues(data, quality.schema), [data, quality.schema]);
+    const issues = [...quality.issues, ...series].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+
+    if (loading) return <p className="text-xs text-slate-400 text-center py-4">Loading...</p>;
+
+    return (
+        <div>
+            <div className="flex gap-3 text-[10px] text-slate-500 mb-3">
+                <span>Schema: <b className="text-slate-700">{SCHEMAS[quality.schema]?.label || 'Unknown (not checked)'}</b></span>
+                <span>Rows: <b className="text-slate-700">{data.length}</b></span>
+                {cows.length > 0 && <span>Cows: <b className="text-slate-700">{cows.length}</b></span>}
+            </div>
+
+            {issues.length === 0
+                ? <p className="text-xs text-green-600 text-center py-4">No issues found.</p>
+                : (
+                    <ul className="space-y-1.5 max-h-72 overflow-y-auto">
+                        {issues.map(issue => (
+                            <li key={`${issue.kind}:${issue.column}`} className={`border rounded-md px-2 py-1.5 text-xs ${SEVERITY_STYLES[issue.severity]}`}>
+                                <div className="flex justify-between gap-2">
+                                    <span className="font-bold">{issue.message}</span>
+                                    {issue.kind !== 'missing_column' && <span className="font-mono">{issue.count}x</span>}
+                                </div>
+                                {issue.examples.map(example => (
+                                    <div key={example} className="text-[10px] font-mono opacity-75 truncate" title={example}>{example}</div>
+                                ))}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+        </div>
+    );
+}
+
+// Schema / data-quality report for the loaded datasets
+export default function DataQualityPanel() {
+    const { quality } = useCowData();
+    const [isOpen, setIsOpen] = useState(false);
+    const [dataset, setDataset] = useState('telemetry');
+
+    const errorCount = quality.issues.filter(i => i.severity === 'error').length;
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={() => setIsOpen(true)}
+                className={`fixed bottom-36 left-24 z-40 flex items-center gap-2 px-3 py-2 bg-white rounded-xl shadow-pop border text-xs font-bold hover:text-blue-600 ${errorCount ? 'border-red-300 text-red-600' : 'border-slate-200 text-slate-600'}`}
+            >
+                {errorCount ? <ShieldAlert size={14} /> : <ShieldCheck size={14} />}
+                {quality.issues.length ? `Data: ${quality.issues.length} issue${quality.issues.length > 1 ? 's' : ''}` : 'Data Quality'}
+            </button>
+        );
+    }
+
+    return (
+        <div className="fixed bottom-36 left-24 z-40 w-[28rem] bg-white rounded-xl shadow-pop border border-slate-200 p-4">
+            <div className="flex items-center justify-between mb-3">
+                <h4 className="text-sm font-bold text-slate-700 flex items-center gap-2">
+                    <ShieldCheck size={16} />
+                    Data Quality
+                </h4>
+                <button onClick={() => setIsOpen(false)} className="text-slate-400 hover:text-slate-600">
+                    <X size={14} />
+                </button>
+            </div>
+
+            <div className="flex bg-slate-100 rounded-lg p-0.5 mb-3">
+                {DATASETS.map(d => (
+                    <button
+                        key={d.id}
+                        onClick={() => setDataset(d.id)}
+                        className={`flex-1 px-2 py-1 text-[10px] font-bold rounded-md transition-all ${dataset === d.id ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-500'}`}
+                    >
+                        {d.label}
+                    </button>
+                ))}
+            </div>
+
+            <QualityReport key={dataset} dataset={dataset} />
+        </div>
+    );
+}
@@ -0,0 +1,71 @@
+import React from 'react';
+import { Upload, WifiOff } from 'lucide-react';
+import { format } from 'date-fns';
+import { useCowData } from '../../hooks/useCowData';
+
+const formatBytes = (bytes) => (bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`);
+
+// Streaming parse progress (views already render the rows received so far)
+function LoadProgress({ progress }) {
+    const pct = progress.totalBytes ? Math.min(100, (progress.bytes / progress.totalBytes) * 100) : null;
+
+    return (
+        <div className="px-4 py-1.5 border-b border-slate-100 bg-blue-50/60 flex items-center gap-3 text-[11px] text-slate-500">
+            <span className="font-bold text-blue-600 whitespace-nowrap">Loading data</span>
+            <div className="flex-1 h-1.5 bg-blue-100 rounded-full overflow-hidden">
+                <div className={`h-full bg-blue-500 ${pct === null ? 'w-1/3 animate-pulse' : ''}`} style={pct === null ? undefined : { width: `${pct}%` }} />
+            </div>
+            <span className="font-mono whitespace-nowrap">
+                {progress.rows.toLocaleString()} rows · {formatBytes(progress.bytes)}{progress.totalBytes ? ` / ${formatBytes(progress.totalBytes)}` : ''}
+            </span>
+        </div>
+    );
+}
+
+// Source unreachable: the views are showing what was cached in IndexedDB
+function OfflineNotice({ cached }) {
+    return (
+        <div className="px-4 py-1.5 border-b border-amber-100 bg-amber-50 flex items-center gap-2 text-[11px] text-amber-700">
+            <WifiOff size={12} />
+            <span className="font-bold">Offline</span>
+            <span>Showing cached data saved {format(cached.savedAt, 'MMM d, HH:mm')}; new rows load when the source is reachable again.</span>
+        </div>
+    );
+}
+
+// Farms on a 'file' source have nothing to show until a CSV is picked
+export default function DataSourceGate({ children }) {
+    const { source, data, loading, error, progress, cached, loadFile } = useCowData();
+
+    if (source.type !== 'file' || data.length > 0) {
+        return (
+            <>
+                {cached?.offline && <OfflineNotice cached={cached} />}
+                {progress && <LoadProgress progress={progress} />}
+                {children}
+            </>
+        );
+    }
+
+    return (
+        <div className="flex-1 flex flex-col items-center justify-center p-12 text-center">
+            <div className="w-20 h-20 bg-blue-100 rounded-full flex items-center justify-center mb-6 text-blue-500">
+                <Upload size={32} />
+            </div>
+            <h2 className="text-2xl font-bold text-slate-700 mb-2">Upload Herd Data</h2>
+            <p className="text-slate-400 mb-6 text-sm">This farm reads telemetry from a CSV export (cattle_dashboard schema).</p>
+
+            <label className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold rounded-lg shadow-md cursor-pointer transition-all active:scale-95">
+                {loading ? `Parsing... ${progress ? progress.rows.toLocaleString() + ' rows' : ''}` : 'Choose CSV'}
+                <input
+                    type="file"
+                    accept=".csv,text/csv"
+                    className="hidden"
+                    onChange={(e) => e.target.files[0] && loadFile(e.target.files[0])}
+                />
+            </label>
+
+            {error && <p className="mt-4 text-xs text-red-600">{error.message || String(error)}</p>}
+        </div>
+    );
+}
@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import Papa from 'papaparse';
+import { FileUp, X, Undo2 } from 'lucide-react';
+import { useFarm } from '../../hooks/useFarm';
+import { useVendorProfiles, saveVendorProfile } from '../../hooks/useVendorProfiles';
+import { useFarmImport, setFarmImport, clearFarmImport } from '../../hooks/useImportedData';
+import { registerImport, parseCsvInWorker } from '../../data/sources';
+import { detectSchema, SCHEMAS } from '../../data/schemas';
+import { TARGET_FIELDS, UNITS, TIMESTAMP_FORMATS, guessMapping, applyMapping, mappingFits } from '../../data/importMapping';
+
+const PREVIEW_ROWS = 20;
+
+const selectClass = 'w-full p-1 border rounded-md bg-white text-xs';
+
+// Column mapping for one dropped vendor CSV; imports into the active farm. A raw IMU export
+// (data/schemas.js 'imu' columns) needs no mapping and replaces the farm's IMU collars instead.
+function ImportWizard({ file, onClose }) {
+    const farm = useFarm();
+    const profiles = useVendorProfiles();
+    const [preview, setPreview] = useState(null); // { headers, rows }
+    const [edited, setEdited] = useState(null); // { mapping, profileName } once the user changes anything
+    const [status, setStatus] = useState({ importing: false, rows: 0, error: null });
+
+    // Until edited: a saved profile that fits the headers, else a best guess
+    const saved = preview ? Object.entries(profiles).find(([, m]) => mappingFits(m, preview.headers)) : null;
+    const { mapping, profileName } = edited || {
+        mapping: preview && (saved ? saved[1] : guessMapping(preview.headers)),
+        profileName: saved ? saved[0] : ''
+    };
+    const isImu = preview?.rows.length > 0 && detectSchema(preview.rows[0]) === 'imu';
+    const setMapping = (next) => setEdited({ mapping: next, profileName });
+    const setProfileName = (name) => setEdited({ mapping, profileName: name });
+
+    // Header + first rows
+    useEffect(() => {
+        let cancelled = false;
+
+        Papa.parse(file, {
+            header: true,
+            dynamicTyping: true,
+            skipEmptyLines: true,
+            preview: PREVIEW_ROWS,
+            complete: (results) => {
+                if (!cancelled) setPreview({ headers: results.meta.fields || [], rows: results.data });
+            },
+            error: (err) => { if (!cancelled) setStatus({ importing: false, rows: 0, error: err.message }); }
+        });
+
+        return () => { cancelled = true; };
+    }, [file]);
+
+    const setField = (field, patch) => {
+        const fields = { ...mapping.fields };
+        if (patch.column === '') delete fields[field];
+        else fields[field] = { unit: Object.keys(UNITS[field] || {})[0], ...fields[field], ...patch };
+        setMapping({ ...mapping, fields });
+    };
+
+    const runImport = () => {
+        setStatus({ importing: true, rows: 0, error: null });
+
+        // Whole file in the CSV worker, converted chunk by chunk
+        const chunks = [];
+        parseCsvInWorker(file, (rows, progress) => {
+            chunks.push(isImu ? rows : applyMapping(rows, mapping));
+            setStatus({ importing: true, rows: progress.rows, error: null });
+        }).promise
+            .then(() => {
+                const rows = chunks.flat();
+                if (!isImu && profileName.trim()) saveVendorProfile(profileName.trim(), mapping);
+                setFarmImport(farm.id, { source: registerImport(rows), name: file.name, rows: rows.length }, isImu ? 'imu' : 'telemetry');
+                onClose();
+            })
+            .catch(e => setStatus({ importing: false, rows: 0, error: e.message }));
+    };
+
+    const sample = preview && mapping && preview.rows.length && !isImu ? applyMapping(preview.rows.slice(0, 1), mapping)[0] : null;
+
+    const actions = (
+        <div className="flex items-center justify-end gap-3">
+            {status.error && <span className="text-xs text-red-600 mr-auto">{status.error}</span>}
+            <button onClick={onClose} className="px-4 py-1.5 text-sm font-bold text-slate-500 hover:text-slate-700">Cancel</button>
+            <button
+                onClick={runImport}
+                disabled={status.importing}
+                className="px-5 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold rounded-lg shadow-md disabled:opacity-50"
+            >
+                {status.importing ? `Importing... ${status.rows.toLocaleString()} rows` : 'Import'}
+            </button>
+        </div>
+    );
+
+    return (
+        <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-6">
+            <div className="w-[44rem] max-h-full overflow-y-auto bg-white rounded-2xl shadow-pop border border-slate-200 p-6">
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-bold text-slate-700 flex items-center gap-2">
+                        <FileUp size={18} />
+                        Import {file.name} <span className="text-sm font-normal text-slate-400">into {farm.name}</span>
+                    </h3>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X size={16} />
+                    </button>
+                </div>
+
+                {!mapping ? (
+                    <p className="text-sm text-slate-400 text-center py-8">{status.error || 'Reading columns...'}</p>
+                ) : isImu ? (
+                    <>
+                        <p className="text-sm text-slate-600 mb-4">
+                            {SCHEMAS.imu.label} file: its rows replace {farm.name}'s IMU collars in the posture and
+                            evaluation modules. Health telemetry is not affected.
+                        </p>
+                        {actions}
+                    </>
+                ) : (
+                    <>
+                        {/* Vendor Profile */}
+                        <div className="grid grid-cols-2 gap-3 mb-4">
+                            <label className="text-[10px] font-bold text-slate-500 uppercase">
+                                Vendor profile
+                                <select
+                                    value={profiles[profileName] ? profileName : ''}
+                                    onChange={(e) => {
+                                        const name = e.target.value;
+                                        setEdited({ mapping: name ? profiles[name] : guessMapping(preview.headers), profileName: name });
+                                    }}
+                                    className={`mt-1 ${selectClass} font-normal normal-case`}
+                                >
+                                    <option value="">New (auto-detected)</option>
+                                    {Object.keys(profiles).map(name => (
+                                        <option key={name} value={name} disabled={!mappingFits(profiles[name], preview.headers)}>{name}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="text-[10px] font-bold text-slate-500 uppercase">
+                                Save mapping as
+                                <input
+                                    value={profileName}
+                                    onChange={(e) => setProfileName(e.target.value)}
+                                    placeholder="Vendor name (optional)"
+                                    className="mt-1 w-full p-1 border rounded-md text-xs font-normal normal-case"
+                                />
+                            </label>
+                        </div>
+
+                        {/* Key Columns */}
+                        <div className="grid grid-cols-3 gap-3 mb-4">
+                            <label className="text-[10px] font-bold text-slate-500 uppercase">
+                                Timestamp column
+                                <select
+                                    value={mapping.timestamp.column}
+                                    onChange={(e) => setMapping({ ...mapping, timestamp: { ...mapping.timestamp, column: e.target.value } })}
+                                    className={`mt-1 ${selectClass} font-normal normal-case`}
+                                >
+                                    {preview.headers.map(h => <option key={h} value={h}>{h}</option>)}
+                                </select>
+                            </label>
+                            <label className="text-[10px] font-bold text-slate-500 uppercase">
+                                Timestamp format
+                                <select
+                                    value={mapping.timestamp.format}
+                                    onChange={(e) => setMapping({ ...mapping, timestamp: { ...mapping.timestamp, format: e.target.value } })}
+                                    className={`mt-1 ${selectClass} font-normal normal-case`}
+                                >
+                                    {TIMESTAMP_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+                                </select>
+                            </label>
+                            <label className="text-[10px] font-bold text-slate-500 uppercase">
+                                Cow id
+                                <select
+                                    value={mapping.cow_id.column ?? ''}
+                                    onChange={(e) => setMapping({ ...mapping, cow_id: e.target.value ? { column: e.target.value } : { value: 'COW_01' } })}
+                                    className={`mt-1 ${selectClass} font-normal normal-case`}
+                                >
+                                    <option value="">Single animal (fixed id)</option>
+                                    {preview.headers.map(h => <option key={h} value={h}>{h}</option>)}
+                                </select>
+                                {!mapping.cow_id.column && (
+                                    <input
+                                        value={mapping.cow_id.value}
+                                        onChange={(e) => setMapping({ ...mapping, cow_id: { value: e.target.value } })}
+                                        className="mt-1 w-full p-1 border rounded-md text-xs font-normal normal-case"
+                                    />
+                                )}
+                            </label>
+                        </div>
+
+                        {/* Field Mapping */}
+                        <table className="w-full text-xs mb-4">
+                            <thead>
+                                <tr className="text-[10px] text-slate-400 text-left">
+                                    <th className="pb-1">Field</th>
+                                    <th className="pb-1">Vendor column</th>
+                                    <th className="pb-1">Unit</th>
+                                    <th className="pb-1 text-right">First row</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr className="border-t border-slate-100">
+                                    <td className="py-1 font-mono text-slate-700">timestamp</td>
+                                    <td colSpan={2} />
+                                    <td className={`py-1 text-right font-mono ${sample?.timestamp ? 'text-slate-600' : 'text-red-600'}`}>{sample?.timestamp || 'unparsed'}</td>
+                                </tr>
+                                {TARGET_FIELDS.map(field => {
+                                    const entry = mapping.fields[field];
+                                    return (
+                                        <tr key={field} className="border-t border-slate-100">
+                                            <td className="py-1 font-mono text-slate-700">{field}</td>
+                                            <td className="py-1 pr-2">
+                                                <select value={entry?.column ?? ''} onChange={(e) => setField(field, { column: e.target.value })} className={selectClass}>
+                                                    <option value="">-- not in file --</option>
+                                                    {preview.headers.map(h => <option key={h} value={h}>{h}</option>)}
+                                                </select>
+                                            </td>
+                                            <td className="py-1 pr-2">
+                                                {UNITS[field] && entry && (
+                                                    <select value={entry.unit} onChange={(e) => setField(field, { unit: e.target.value })} className={selectClass}>
+                                                        {Object.keys(UNITS[field]).map(u => <option key={u} value={u}>{u}</option>)}
+                                                    </select>
+                                                )}
+                                            </td>
+                                            <td className="py-1 text-right font-mono text-slate-600">
+                                                {entry && sample ? (typeof sample[field] === 'number' ? +sample[field].toFixed(4) : String(sample[field] ?? '')) : ''}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+
+                        {actions}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Drop a CSV anywhere on the dashboard to import it into the active farm
+export default function ImportDropZone() {
+    const farm = useFarm();
+    const imported = useFarmImport(farm.id);
+    const [isDragging, setIsDragging] = useState(false);
+    const [file, setFile] = useState(null);
+
+    useEffect(() => {
+        const hasFiles = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+        const onDragOver = (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            setIsDragging(true);
+        };
+        const onDragLeave = (e) => {
+            if (!e.relatedTarget) setIsDragging(false); // Left the window
+        };
+        const onDrop = (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            setIsDragging(false);
+            const dropped = [...e.dataTransfer.files].find(f => /\.csv$/i.test(f.name) || f.type === 'text/csv');
+            if (dropped) setFile(dropped);
+        };
+
+        window.addEventListener('dragover', onDragOver);
+        window.addEventListener('dragleave', onDragLeave);
+        window.addEventListener('drop', onDrop);
+        return () => {
+            window.removeEventListener('dragover', onDragOver);
+            window.removeEventListener('dragleave', onDragLeave);
+            window.removeEventListener('drop', onDrop);
+        };
+    }, []);
+
+    return (
+        <>
+            {isDragging && (
+                <div className="fixed inset-0 z-50 bg-blue-600/10 border-4 border-dashed border-blue-400 flex items-center justify-center pointer-events-none">
+                    <div className="bg-white rounded-2xl shadow-pop px-8 py-6 text-center">
+                        <FileUp size={32} className="mx-auto mb-2 text-blue-500" />
+                        <p className="font-bold text-slate-700">Drop a collar CSV to import into {farm.name}</p>
+                    </div>
+                </div>
+            )}
+
+            {file && <ImportWizard key={file.name + file.lastModified} file={file} onClose={() => setFile(null)} />}
+
+            {imported && (
+                <div className="fixed bottom-6 right-6 z-40 flex items-center gap-2 px-3 py-2 bg-white rounded-xl shadow-pop border border-blue-200 text-xs text-slate-600">
+                    <FileUp size={14} className="text-blue-500" />
+                    <span>
+                        Showing {Object.values(imported).map((entry, i) => (
+                            <React.Fragment key={entry.source.id}>{i > 0 && ', '}<b>{entry.name}</b> ({entry.rows} rows)</React.Fragment>
+                        ))}
+                    </span>
+                    <button onClick={() => clearFarmImport(farm.id)} title="Back to the farm's data source" className="flex items-center gap-1 font-bold text-blue-600 hover:text-blue-800">
+                        <Undo2 size={12} />
+                        Revert
+                    </button>
+                </div>
+            )}
+        </>
+    );
+}
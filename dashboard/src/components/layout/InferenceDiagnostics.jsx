@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Cpu, X } from 'lucide-react';
+import { BACKENDS, setInferenceSettings, useInferenceDiagnostics } from '../../hooks/useInference';
+import { useModelRegistry } from '../../hooks/useModelRegistry';
+
+const BACKEND_LABELS = { auto: 'Auto (best available)', webgpu: 'WebGPU', webgl: 'WebGL', wasm: 'WASM (CPU)' };
+const THREAD_OPTIONS = [0, 1, 2, 4, 8];
+
+const ms = (v) => (v === undefined ? '--' : `${v < 10 ? v.toFixed(2) : v.toFixed(0)} ms`);
+
+export default function InferenceDiagnostics() {
+    const { settings, capabilities, models } = useInferenceDiagnostics();
+    const { models: registered } = useModelRegistry();
+    const [isOpen, setIsOpen] = useState(false);
+
+    const nameOf = (path) => registered.find(m => m.path === path)?.name || path;
+    const activeBackends = [...new Set(Object.values(models).map(m => m.backend))];
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={() => setIsOpen(true)}
+                className="fixed bottom-6 left-24 z-40 flex items-center gap-2 px-3 py-2 bg-white rounded-xl shadow-pop border border-slate-200 text-xs font-bold text-slate-600 hover:text-blue-600"
+            >
+                <Cpu size={14} />
+                {activeBackends.length ? activeBackends.join(' / ').toUpperCase() : 'Inference'}
+            </button>
+        );
+    }
+
+    return (
+        <div className="fixed bottom-6 left-24 z-40 w-[28rem] bg-white rounded-xl shadow-pop border border-slate-200 p-4">
+            <div className="flex items-center justify-between mb-3">
+                <h4 className="text-sm font-bold text-slate-700 flex items-center gap-2">
+                    <Cpu size={16} />
+                    Inference Diagnostics
+                </h4>
+                <button onClick={() => setIsOpen(false)} className="text-slate-400 hover:text-slate-600">
+                    <X size={14} />
+                </button>
+            </div>
+
+            {/* Settings */}
+            <div className="grid grid-cols-2 gap-3 mb-3">
+                <label className="text-[10px] font-bold text-slate-500 uppercase">
+                    Backend
+                    <select
+                        value={settings.backend}
+                        onChange={(e) => setInferenceSettings({ backend: e.target.value })}
+                        className="mt-1 w-full p-1.5 border rounded-md bg-white text-xs font-normal normal-case text-slate-700"
+                    >
+                        {BACKENDS.map(b => (
+                            <option key={b} value={b} disabled={b !== 'auto' && capabilities && !capabilities[b]}>
+                                {BACKEND_LABELS[b]}{b !== 'auto' && capabilities && !capabilities[b] ? ' (unsupported)' : ''}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="text-[10px] font-bold text-slate-500 uppercase">
+                    WASM Threads
+                    <select
+                        value={settings.numThreads}
+                        onChange={(e) => setInferenceSettings({ numThreads: Number(e.target.value) })}
+                        disabled={capabilities && !capabilities.threads}
+                        className="mt-1 w-full p-1.5 border rounded-md bg-white text-xs font-normal normal-case text-slate-700 disabled:opacity-50"
+                    >
+                        {THREAD_OPTIONS.map(n => (
+                            <option key={n} value={n} disabled={capabilities && n > capabilities.hardwareConcurrency}>
+                                {n === 0 ? 'Auto' : n}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            {/* Capabilities */}
+            <div className="flex flex-wrap gap-1 mb-3">
+                {capabilities
+                    ? ['webgpu', 'webgl', 'wasm', 'threads'].map(cap => (
+                        <span
+                            key={cap}
+                            className={`px-2 py-0.5 text-[10px] font-bold rounded-md ${capabilities[cap] ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-400 line-through'}`}
+                        >
+                            {cap === 'threads' ? `threads (${capabilities.hardwareConcurrency} cores)` : cap}
+                        </span>
+                    ))
+                    : <span className="text-[10px] text-slate-400">Detecting capabilities...</span>}
+            </div>
+
+            {/* Per-Model Latency */}
+            <table className="w-full text-[10px]">
+                <thead>
+                    <tr className="text-slate-400 text-left">
+                        <th className="pb-1">Model</th>
+                        <th className="pb-1">Backend</th>
+                        <th className="pb-1 text-right">Load</th>
+                        <th className="pb-1 text-right">Last</th>
+                        <th className="pb-1 text-right">Avg</th>
+                        <th className="pb-1 text-right">Per window</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {Object.entries(models).map(([path, stats]) => (
+                        <tr key={path} className="border-t border-slate-100">
+                            <td className="py-1 font-bold text-slate-700 truncate max-w-[8rem]" title={path}>{nameOf(path)}</td>
+                            <td className={`py-1 font-mono ${stats.backend !== settings.backend && settings.backend !== 'auto' ? 'text-orange-600' : 'text-slate-600'}`}>
+                                {stats.backend}
+                            </td>
+                            <td className="py-1 text-right font-mono">{ms(stats.loadMs)}</td>
+                            <td className="py-1 text-right font-mono">{ms(stats.lastMs)}</td>
+                            <td className="py-1 text-right font-mono">{ms(stats.avgMs)}</td>
+                            <td className="py-1 text-right font-mono">{ms(stats.msPerWindow)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {Object.keys(models).length === 0 && (
+                <p className="text-[10px] text-slate-400 text-center py-2">No inference runs yet on this backend.</p>
+            )}
+        </div>
+    );
+}
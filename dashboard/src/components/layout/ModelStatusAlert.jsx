@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import { AlertTriangle, X } from 'lucide-react';
+import { useModelRegistry } from '../../hooks/useModelRegistry';
+
+export default function ModelStatusAlert() {
+    const { issues, error, loading } = useModelRegistry();
+    const [isDismissed, setIsDismissed] = useState(false);
+
+    if (loading || isDismissed || (!error && issues.length === 0)) return null;
+
+    return (
+        <div className="fixed bottom-6 right-6 z-40 w-96 bg-white rounded-xl shadow-pop border border-orange-200 p-4">
+            <div className="flex items-center justify-between mb-2">
+                <h4 className="text-sm font-bold text-orange-700 flex items-center gap-2">
+                    <AlertTriangle size={16} />
+                    Model Registry Issues
+                </h4>
+                <button onClick={() => setIsDismissed(true)} className="text-slate-400 hover:text-slate-600">
+                    <X size={14} />
+                </button>
+            </div>
+
+            {error && (
+                <p className="text-xs text-red-600">{error.message}</p>
+            )}
+
+            <div className="space-y-2 max-h-64 overflow-y-auto">
+                {issues.map(model => (
+                    <div key={model.id} className="p-2 bg-orange-50 rounded-lg border border-orange-100">
+                        <p className="text-xs font-bold text-slate-700">
+                            {model.name} <span className="font-mono text-[10px] text-slate-400">v{model.version}</span>
+                        </p>
+                        <p className="text-[10px] font-mono text-slate-500 mb-1">{model.path}</p>
+                        <ul className="text-[10px] text-orange-700 list-disc pl-4">
+                            {model.issues.map(issue => <li key={issue}>{issue}</li>)}
+                        </ul>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { Siren, X, Plus, Trash2 } from 'lucide-react';
+import { useFarm } from '../../hooks/useFarm';
+import { useCowData } from '../../hooks/useCowData';
+import { useScenarios, addScenario, removeScenario, clearScenarios } from '../../hooks/useScenarios';
+import { SCENARIO_TYPES } from '../../utils/scenarioInjection';
+
+// Script simulator scenarios (fever, lameness, fence breach, collar failure) on the active farm
+export default function ScenarioPanel() {
+    const farm = useFarm();
+    const { cows } = useCowData();
+    const scenarios = useScenarios(farm.id);
+    const [isOpen, setIsOpen] = useState(false);
+    const [draft, setDraft] = useState({ type: 'fever', cowId: '', at: '14:00' });
+
+    const cowIds = farm.herd.length ? farm.herd.map(a => a.id) : cows;
+    const cowId = cowIds.includes(draft.cowId) ? draft.cowId : cowIds[0] || ''; // Draft may name another farm's cow
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={() => setIsOpen(true)}
+                className={`fixed bottom-20 left-24 z-40 flex items-center gap-2 px-3 py-2 bg-white rounded-xl shadow-pop border text-xs font-bold hover:text-blue-600 ${scenarios.length ? 'border-orange-300 text-orange-600' : 'border-slate-200 text-slate-600'}`}
+            >
+                <Siren size={14} />
+                {scenarios.length ? `${scenarios.length} Scenario${scenarios.length > 1 ? 's' : ''}` : 'Scenarios'}
+            </button>
+        );
+    }
+
+    return (
+        <div className="fixed bottom-20 left-24 z-40 w-[24rem] bg-white rounded-xl shadow-pop border border-slate-200 p-4">
+            <div className="flex items-center justify-between mb-3">
+                <h4 className="text-sm font-bold text-slate-700 flex items-center gap-2">
+                    <Siren size={16} />
+                    Scenarios - {farm.name}
+                </h4>
+                <button onClick={() => setIsOpen(false)} className="text-slate-400 hover:text-slate-600">
+                    <X size={14} />
+                </button>
+            </div>
+
+            {/* New Scenario */}
+            <div className="flex items-end gap-2 mb-1">
+                <select
+                    value={draft.type}
+                    onChange={(e) => setDraft({ ...draft, type: e.target.value })}
+                    className="flex-1 p-1.5 border rounded-md bg-white text-xs"
+                >
+                    {Object.entries(SCENARIO_TYPES).map(([type, s]) => <option key={type} value={type}>{s.label}</option>)}
+                </select>
+                <select
+                    value={cowId}
+                    onChange={(e) => setDraft({ ...draft, cowId: e.target.value })}
+                    className="p-1.5 border rounded-md bg-white text-xs"
+                >
+                    {cowIds.map(id => <option key={id} value={id}>{id}</option>)}
+                </select>
+                <input
+                    type="time"
+                    value={draft.at}
+                    onChange={(e) => setDraft({ ...draft, at: e.target.value })}
+                    className="p-1 border rounded-md bg-white text-xs"
+                />
+                <button
+                    onClick={() => addScenario(farm.id, { type: draft.type, cowId, at: draft.at })}
+                    disabled={!cowId || !draft.at}
+                    title="Add scenario"
+                    className="p-1.5 bg-blue-600 text-white rounded-md disabled:opacity-50"
+                >
+                    <Plus size={14} />
+                </button>
+            </div>
+            <p className="text-[10px] text-slate-400 mb-3">{SCENARIO_TYPES[draft.type].description} Starts at this time within the last 24h of data.</p>
+
+            {/* Active Scenarios */}
+            {scenarios.length === 0
+                ? <p className="text-[10px] text-slate-400 text-center py-2">No scenarios; the herd plays back as recorded.</p>
+                : (
+                    <ul className="space-y-1">
+                        {scenarios.map(s => (
+                            <li key={s.id} className="flex items-center justify-between text-xs bg-orange-50 rounded-md px-2 py-1">
+                                <span>
+                                    <span className="font-bold text-slate-700">{s.cowId}</span>
+                                    <span className="text-slate-500"> {SCENARIO_TYPES[s.type]?.label || s.type} at </span>
+                                    <span className="font-mono text-slate-600">{s.at}</span>
+                                </span>
+                                <button onClick={() => removeScenario(farm.id, s.id)} className="text-slate-400 hover:text-red-600">
+                                    <Trash2 size={12} />
+                                </button>
+                            </li>
+                        ))}
+                        <li className="text-right">
+                            <button onClick={() => clearScenarios(farm.id)} className="text-[10px] font-bold text-slate-400 hover:text-red-600">
+                                Clear all
+                            </button>
+                        </li>
+                    </ul>
+                )}
+        </div>
+    );
+}
@@ -1,14 +1,13 @@
 import React, { useState } from 'react';
 import { LayoutDashboard, Tractor, Sprout, Warehouse, ChevronRight, ChevronLeft } from 'lucide-react';
+import { FARMS } from '../../config/farms';
+
+const FARM_ICONS = { tractor: Tractor, sprout: Sprout, warehouse: Warehouse };
 
 export default function Sidebar({ activeFarm, onSelectFarm }) {
     const [isExpanded, setIsExpanded] = useState(false);
 
-    const farms = [
-        { id: 'farm1', name: 'Sunny Pastures', icon: Tractor },
-        { id: 'farm2', name: 'Green Valley', icon: Sprout },
-        { id: 'farm3', name: 'Highland Cattle', icon: Warehouse },
-    ];
+    const farms = Object.values(FARMS);
 
     return (
         <div
@@ -39,7 +38,7 @@ export default function Sidebar({ activeFarm, onSelectFarm }) {
             {/* Farm List */}
             <div className="flex-1 py-6 px-3 space-y-3">
                 {farms.map((farm) => {
-                    const Icon = farm.icon;
+                    const Icon = FARM_ICONS[farm.icon] || Tractor;
                     const isActive = activeFarm === farm.id;
 
                     return (
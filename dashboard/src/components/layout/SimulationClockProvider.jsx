@@ -0,0 +1,43 @@
+import React, { useState, useEffect } from 'react';
+import { createSimulationClock, SimulationClockContext } from '../../hooks/useSimulationClock';
+import { useCowData } from '../../hooks/useCowData';
+import { REALTIME_SOURCES } from '../../data/sources';
+
+const TICK_MS = 100;
+
+// Owns the one simulation timer for the app; the range follows the active farm's dataset
+export default function SimulationClockProvider({ children }) {
+    const [clock] = useState(createSimulationClock);
+    const { data, source } = useCowData();
+    const realtime = REALTIME_SOURCES.includes(source?.type);
+
+    useEffect(() => {
+        if (!data.length) return;
+
+        const times = [...new Set(data.map(d => new Date(d.timestamp).getTime()))].sort((a, b) => a - b);
+
+        // Sampling interval = smallest gap between consecutive timestamps
+        let sampleMs = Infinity;
+        for (let i = 1; i < times.length; i++) sampleMs = Math.min(sampleMs, times[i] - times[i - 1]);
+        if (!Number.isFinite(sampleMs)) sampleMs = undefined;
+
+        // Missing stretches inside the dataset (collar offline, export holes)
+        const dataGaps = [];
+        for (let i = 1; i < times.length; i++) {
+            if (times[i] - times[i - 1] > 2 * sampleMs) dataGaps.push([times[i - 1] + sampleMs, times[i]]);
+        }
+
+        clock.setRange(times[0], times[times.length - 1], sampleMs, dataGaps, realtime);
+    }, [clock, data, realtime]);
+
+    useEffect(() => {
+        const timer = setInterval(() => clock.tick(TICK_MS), TICK_MS);
+        return () => clearInterval(timer);
+    }, [clock]);
+
+    return (
+        <SimulationClockContext.Provider value={clock}>
+            {children}
+        </SimulationClockContext.Provider>
+    );
+}
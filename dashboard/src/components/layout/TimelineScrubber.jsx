@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { Play, Pause, StepBack, StepForward } from 'lucide-react';
+import { format } from 'date-fns';
+import { useSimulationClock, REPLAY_SPEEDS, HISTORY_RANGES } from '../../hooks/useSimulationClock';
+import { useNoiseSettings, setNoiseSettings } from '../../hooks/useNoiseProfile';
+import { NOISE_PROFILES } from '../../config/noiseProfiles';
+
+const formatStamp = (ms) => new Date(ms).toLocaleString([], {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+// <input type="datetime-local"> value format
+const toInputValue = (ms) => format(new Date(ms), "yyyy-MM-dd'T'HH:mm");
+
+// Replay transport under the charts: range, drag to seek, play/pause, step one sample, speed
+export default function TimelineScrubber() {
+    const {
+        mode, realtime, playing, currentTime, rangeStart, rangeEnd, sampleMs, replaySpeed, historyHours, customRange,
+        gaps, inGap, play, pause, seek, step, setMode, setReplaySpeed, setHistoryHours, setCustomRange
+    } = useSimulationClock();
+    const noise = useNoiseSettings();
+    const [isCustomOpen, setIsCustomOpen] = useState(false);
+
+    if (rangeStart === null || !currentTime) return null;
+
+    const isLive = mode === 'LIVE';
+    const span = rangeEnd - rangeStart || 1;
+
+    const togglePlay = () => {
+        if (!playing) play();
+        else pause();
+    };
+
+    const selectRange = (value) => {
+        if (value === 'custom') {
+            setIsCustomOpen(true);
+            return;
+        }
+        setIsCustomOpen(false);
+        setHistoryHours(Number(value));
+    };
+
+    return (
+        <div className="px-4 py-2 border-t border-slate-100 bg-slate-50/80 space-y-1">
+            <div className="flex items-center gap-3">
+                <div className="flex bg-white rounded-lg border border-slate-200 p-0.5 gap-0.5">
+                    <button onClick={() => step(-1)} title="Back one sample" className="p-1.5 rounded-md text-slate-500 hover:bg-slate-100">
+                        <StepBack size={14} />
+                    </button>
+                    <button onClick={togglePlay} title={playing ? 'Pause' : 'Play'} className="p-1.5 rounded-md text-blue-600 hover:bg-blue-50">
+                        {playing ? <Pause size={14} /> : <Play size={14} />}
+                    </button>
+                    <button onClick={() => step(1)} title="Forward one sample" className="p-1.5 rounded-md text-slate-500 hover:bg-slate-100">
+                        <StepForward size={14} />
+                    </button>
+                </div>
+
+                {/* Track with gap bands (no data in range) */}
+                <div className="flex-1 relative flex items-center">
+                    {gaps.map(([a, b]) => (
+                        <div
+                            key={a}
+                            title={`No data: ${formatStamp(a)} - ${formatStamp(b)}`}
+                            className="absolute h-2 bg-red-300/70 rounded-sm pointer-events-none"
+                            style={{ left: `${((a - rangeStart) / span) * 100}%`, width: `${Math.max(0.5, ((b - a) / span) * 100)}%` }}
+                        />
+                    ))}
+                    <input
+                        type="range"
+                        min={rangeStart}
+                        max={rangeEnd}
+                        step={sampleMs}
+                        value={currentTime.getTime()}
+                        onChange={(e) => {
+                            pause(); // Stop exactly where the vet lets go
+                            seek(Number(e.target.value));
+                        }}
+                        className="relative w-full accent-blue-600"
+                    />
+                </div>
+
+                <span className={`text-[11px] font-mono w-36 text-right ${inGap ? 'text-red-600 font-bold' : 'text-slate-600'}`}>
+                    {inGap ? 'NO DATA · ' : ''}{formatStamp(currentTime.getTime())}
+                </span>
+
+                <select
+                    value={customRange || isCustomOpen ? 'custom' : historyHours}
+                    onChange={(e) => selectRange(e.target.value)}
+                    className="p-1 border rounded-md bg-white text-xs"
+                >
+                    {HISTORY_RANGES.map(r => <option key={r.hours} value={r.hours}>{r.label}</option>)}
+                    <option value="custom">Custom</option>
+                </select>
+
+                <select
+                    value={replaySpeed}
+                    onChange={(e) => setReplaySpeed(Number(e.target.value))}
+                    disabled={isLive}
+                    className="p-1 border rounded-md bg-white text-xs disabled:opacity-50"
+                >
+                    {REPLAY_SPEEDS.map(s => <option key={s} value={s}>{s}x</option>)}
+                </select>
+
+                {/* LIVE sensor noise: profile + seed (simulated data only) */}
+                <div className="flex items-center gap-1" title={realtime ? 'Real-time feed: no simulated noise' : 'Sensor noise (LIVE)'}>
+                    <select
+                        value={noise.profile}
+                        onChange={(e) => setNoiseSettings({ profile: e.target.value })}
+                        disabled={!isLive || realtime}
+                        className="p-1 border rounded-md bg-white text-xs disabled:opacity-50"
+                    >
+                        {Object.entries(NOISE_PROFILES).map(([id, p]) => <option key={id} value={id}>Noise: {p.label}</option>)}
+                    </select>
+                    <input
+                        type="number"
+                        value={noise.seed}
+                        onChange={(e) => setNoiseSettings({ seed: Number(e.target.value) || 0 })}
+                        disabled={!isLive || realtime}
+                        title="Noise seed"
+                        className="w-14 p-1 border rounded-md bg-white text-xs disabled:opacity-50"
+                    />
+                </div>
+
+                <button
+                    onClick={() => setMode('LIVE')}
+                    className={`px-2 py-1 text-[10px] font-bold rounded-md transition-colors ${isLive ? 'bg-red-100 text-red-600' : 'bg-white border border-slate-200 text-slate-500 hover:bg-slate-100'}`}
+                >
+                    LIVE
+                </button>
+            </div>
+
+            {/* Custom Range */}
+            {(isCustomOpen || customRange) && (
+                <form
+                    className="flex items-center gap-2 text-[11px] text-slate-500 justify-end"
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        const form = new FormData(e.target);
+                        setCustomRange(new Date(form.get('from')).getTime(), new Date(form.get('to')).getTime());
+                    }}
+                >
+                    From
+                    <input name="from" type="datetime-local" defaultValue={toInputValue(rangeStart)} className="p-0.5 border rounded bg-white" />
+                    to
+                    <input name="to" type="datetime-local" defaultValue={toInputValue(rangeEnd)} className="p-0.5 border rounded bg-white" />
+                    <button type="submit" className="px-2 py-0.5 bg-blue-600 text-white font-bold rounded">Apply</button>
+                </form>
+            )}
+        </div>
+    );
+}
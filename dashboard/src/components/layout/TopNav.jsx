@@ -1,7 +1,7 @@
 import React from 'react';
 import {
     Activity, Footprints, Utensils, Brain, Thermometer,
-    Heart, MapPin, ArrowLeftRight, Zap, Droplets, CloudSun
+    Heart, MapPin, ArrowLeftRight, Zap, Droplets, CloudSun, FlaskConical
 } from 'lucide-react';
 
 export default function TopNav({ activeModule, onSelectModule }) {
@@ -11,6 +11,7 @@ export default function TopNav({ activeModule, onSelectModule }) {
         { id: 'health', name: 'Health & Repro', icon: Heart, color: 'bg-red-500/60 hover:bg-red-500/80', border: 'border-red-400' },
         { id: 'env', name: 'Env & Comfort', icon: CloudSun, color: 'bg-green-500/60 hover:bg-green-500/80', border: 'border-green-400' },
         { id: 'overview', name: 'Overview', icon: Zap, color: 'bg-purple-500/60 hover:bg-purple-500/80', border: 'border-purple-400' },
+        { id: 'eval', name: 'Model Eval', icon: FlaskConical, color: 'bg-amber-500/60 hover:bg-amber-500/80', border: 'border-amber-400' },
     ];
 
     return (
@@ -0,0 +1,29 @@
+import React from 'react';
+import { RefreshCw, X } from 'lucide-react';
+import { useServiceWorker, applyUpdate, dismissUpdate } from '../../hooks/useServiceWorker';
+
+// A new dashboard build or model set has been downloaded and is waiting
+export default function UpdatePrompt() {
+    const { updateAvailable } = useServiceWorker();
+
+    if (!updateAvailable) return null;
+
+    return (
+        <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50 bg-white rounded-xl shadow-pop border border-blue-200 px-4 py-3 flex items-center gap-4">
+            <div>
+                <p className="text-sm font-bold text-slate-700">Update available</p>
+                <p className="text-[11px] text-slate-400">A new version of the dashboard or its models is ready.</p>
+            </div>
+            <button
+                onClick={applyUpdate}
+                className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-xs font-bold rounded-lg flex items-center gap-1.5"
+            >
+                <RefreshCw size={12} />
+                Reload
+            </button>
+            <button onClick={dismissUpdate} className="text-slate-400 hover:text-slate-600">
+                <X size={14} />
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,123 @@
+// Farm configuration. Each farm picks a data source adapter (see data/sources.js):
+//   { type: 'csv', path } / { type: 'csv', paths }  static CSV under public/data/ (paths: multi-day, one file per day)
+//   { type: 'file', id }                           CSV uploaded by the user
+//   { type: 'rest', url, intervalMs, sinceParam }  polls the collar gateway, e.g. { type: 'rest', url: 'http://gateway.local/api/telemetry' }
+//   { type: 'websocket', url, retryMs }            streamed rows, e.g. { type: 'websocket', url: 'ws://gateway.local/stream' }
+//   { type: 'mqtt', url, topic, username, password, mapping }
+//                                                  MQTT over WebSocket, e.g. { type: 'mqtt', url: 'ws://localhost:9001',
+//                                                  topic: 'sdash/farm1/{cow}/telemetry' } ({cow}: one topic level = cow id;
+//                                                  payload decoding in data/mqttPayload.js, local broker: gateway/mosquitto.conf)
+// CSV and file sources are cached in the browser (IndexedDB): a farm comes up from the cache when offline,
+// and a CSV that only grew is topped up with the new rows. Set cache: false on a csv source to always re-read it.
+// For a local streaming backend, run the collar gateway in gateway/ (npm run replay plays the demo CSV back
+// live) and point a farm at ws://localhost:8787/farms/<id>/stream or http://localhost:8787/farms/<id>/telemetry.
+// Rows are validated against the schema detected from their columns; set schema: 'health' | 'imu' | 'posture'
+// on the source to force one (see data/schemas.js).
+//
+// imuSource: raw accelerometer / gyro collars (AnimalID, AccX..GyroZ) read by the posture and evaluation
+//            modules; any source type above, null if the farm has none
+// herd:      animals on this farm; rows for other cow_ids in the source are ignored (empty = keep all)
+// geofence:  virtual fence + named zones as [lng, lat] polygons, and the map bounds (null = no fence)
+// thresholds: alert limits used by the modules
+
+// 7 days of per-minute collar summaries, so the 48H / 7D ranges have data. Not committed: npm run dev
+// and npm run build write it with generate_data.cjs first (the generate:demo script in package.json)
+const DEMO_CSV = import.meta.env.BASE_URL + 'data/cattle_dashboard_5cows_7days.csv';
+
+// Raw IMU research collars (10 s samples with labelled behavior), one file per farm. Farm 2's is from
+// generate_data.cjs --schema imu --cows 2 --days 0.25 --seed 2 --decimals 5 --start 2025-11-30T12:00:00
+const IMU_CSV = import.meta.env.BASE_URL + 'data/synthetic_cow_data.csv';
+const IMU_CSV_FARM2 = import.meta.env.BASE_URL + 'data/synthetic_cow_data_farm2.csv';
+
+const DEFAULT_THRESHOLDS = {
+    thiWarning: 72,          // Heat index: yellow from here
+    thiDanger: 78,           // Heat index: red from here
+    batteryLowV: 3.6,        // Collar battery
+    estrusProbability: 0.65, // Initial estrus alert threshold (adjustable in HealthView)
+    ruminationDropPct: 20    // Daily rumination below baseline by more than this
+};
+
+export const FARMS = {
+    farm1: {
+        id: 'farm1',
+        name: 'Sunny Pastures',
+        icon: 'tractor',
+        dataSource: { type: 'csv', path: DEMO_CSV },
+        imuSource: { type: 'csv', path: IMU_CSV },
+        herd: [
+            { id: 'COW_01', age: 4, breed: 'Holstein', color: 'Black/White', group: 'Herd A', img: 'https://images.unsplash.com/photo-1570042225831-d98fa7577f1e?q=80&w=2070&auto=format&fit=crop' },
+            { id: 'COW_02', age: 3, breed: 'Jersey', color: 'Brown', group: 'Herd A', img: 'https://images.unsplash.com/photo-1527153857715-3908f2bae5e8?q=80&w=1921&auto=format&fit=crop' },
+            { id: 'COW_03', age: 5, breed: 'Holstein', color: 'Spotted', group: 'Herd B', img: 'https://images.unsplash.com/photo-1546445317-29f4545e9d53?q=80&w=2000&auto=format&fit=crop' }
+        ],
+        geofence: {
+            boundary: [
+                [-81.3045, 43.0485], // Top Left
+                [-81.2980, 43.0485], // Top Right (Panhandle start)
+                [-81.2980, 43.0460], // Notch in
+                [-81.2960, 43.0460], // Panhandle end
+                [-81.2960, 43.0420], // Bottom Right
+                [-81.3000, 43.0415], // Bottom Curve
+                [-81.3030, 43.0425], // Bottom Left
+                [-81.3045, 43.0450]  // Mid Left
+            ],
+            zones: [
+                { name: 'BARN', kind: 'barn', polygon: [[-81.302, 43.0475], [-81.300, 43.0475], [-81.300, 43.0465], [-81.302, 43.0465]] },
+                { name: 'WATER', kind: 'water', polygon: [[-81.3015, 43.0460], [-81.3005, 43.0460], [-81.3005, 43.0455], [-81.3015, 43.0455]] }
+            ],
+            bounds: { minLng: -81.305, maxLng: -81.295, minLat: 43.040, maxLat: 43.050 }
+        },
+        thresholds: DEFAULT_THRESHOLDS
+    },
+    farm2: {
+        id: 'farm2',
+        name: 'Green Valley',
+        icon: 'sprout',
+        dataSource: { type: 'csv', path: DEMO_CSV }, // Same gateway export as farm1, different collars
+        imuSource: { type: 'csv', path: IMU_CSV_FARM2 },
+        herd: [
+            { id: 'COW_04', age: 2, breed: 'Guernsey', color: 'Red/White', group: 'Heifers', img: 'https://images.unsplash.com/photo-1500595046743-cd271d694d30?q=80&w=2074&auto=format&fit=crop' },
+            { id: 'COW_05', age: 6, breed: 'Holstein', color: 'Black', group: 'Heifers', img: 'https://images.unsplash.com/photo-1596733430284-f7437764b1a9?q=80&w=2070&auto=format&fit=crop' }
+        ],
+        geofence: {
+            boundary: [
+                [-81.2995, 43.0500],
+                [-81.2960, 43.0500],
+                [-81.2960, 43.0450],
+                [-81.2995, 43.0450]
+            ],
+            zones: [
+                { name: 'WATER', kind: 'water', polygon: [[-81.2985, 43.0470], [-81.2975, 43.0470], [-81.2975, 43.0465], [-81.2985, 43.0465]] }
+            ],
+            bounds: { minLng: -81.301, maxLng: -81.295, minLat: 43.044, maxLat: 43.051 }
+        },
+        thresholds: { ...DEFAULT_THRESHOLDS, thiWarning: 70, thiDanger: 76 } // Heifers: earlier heat-stress alerts
+    },
+    farm3: {
+        id: 'farm3',
+        name: 'Highland Cattle',
+        icon: 'warehouse',
+        dataSource: { type: 'file', id: 'farm3' },
+        imuSource: null,
+        herd: [],
+        geofence: null,
+        thresholds: DEFAULT_THRESHOLDS
+    }
+};
+
+export const DEFAULT_FARM = 'farm1';
+
+export function getFarm(id) {
+    return FARMS[id] || FARMS[DEFAULT_FARM];
+}
+
+// Herd entry for a cow, with placeholders for animals not listed in the farm config
+export function getAnimal(farm, id) {
+    return farm.herd.find(a => a.id === id) || {
+        id,
+        age: null,
+        breed: 'Unknown',
+        color: 'Unknown',
+        group: 'Unassigned',
+        img: `https://api.dicebear.com/7.x/avataaars/svg?seed=${id}`
+    };
+}
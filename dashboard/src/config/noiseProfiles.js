@@ -0,0 +1,64 @@
+// Sensor noise applied to the newest sample in LIVE mode (see utils/sensorNoise.js).
+// Per field:
+//   distribution: 'uniform' (+/- amplitude) or 'gaussian' (amplitude = standard deviation)
+//   drift:        slow offset wandering within +/- drift, changing over driftPeriodMin minutes
+//   dropout:      probability a reading is missing (value becomes null)
+//   min / max:    physical limits the noisy value is clamped to
+// Amplitudes are in each field's own units: activity_index is a 0 - ~0.5 index, so its noise is hundredths.
+// Every random draw is derived from the seed, the sample time and the cow, so a profile + seed
+// always renders the same values (reproducible demos and screenshots).
+
+const PCT = { min: 0, max: 1 };
+
+export const NOISE_PROFILES = {
+    off: {
+        label: 'Off',
+        fields: {}
+    },
+    demo: {
+        label: 'Demo',
+        fields: {
+            pct_lying: { distribution: 'uniform', amplitude: 0.005, ...PCT },
+            pct_standing: { distribution: 'uniform', amplitude: 0.005, ...PCT },
+            pct_walking: { distribution: 'uniform', amplitude: 0.005, ...PCT },
+            pct_eating: { distribution: 'uniform', amplitude: 0.005, ...PCT },
+            neck_temp_c: { distribution: 'uniform', amplitude: 0.05 },
+            activity_index: { distribution: 'uniform', amplitude: 0.005, min: 0 },
+            heat_index: { distribution: 'uniform', amplitude: 0.25 },
+            gps_lat: { distribution: 'uniform', amplitude: 0.00005 },
+            gps_long: { distribution: 'uniform', amplitude: 0.00005 }
+        }
+    },
+    // Typical collar hardware: ~0.1 C thermistor noise, ~3 m GPS error, occasional missed packets
+    field: {
+        label: 'Field sensors',
+        fields: {
+            pct_lying: { distribution: 'gaussian', amplitude: 0.02, dropout: 0.01, ...PCT },
+            pct_standing: { distribution: 'gaussian', amplitude: 0.02, dropout: 0.01, ...PCT },
+            pct_walking: { distribution: 'gaussian', amplitude: 0.02, dropout: 0.01, ...PCT },
+            pct_eating: { distribution: 'gaussian', amplitude: 0.02, dropout: 0.01, ...PCT },
+            neck_temp_c: { distribution: 'gaussian', amplitude: 0.1, drift: 0.2, driftPeriodMin: 360, dropout: 0.01 },
+            activity_index: { distribution: 'gaussian', amplitude: 0.01, dropout: 0.01, min: 0 },
+            heat_index: { distribution: 'gaussian', amplitude: 0.3, drift: 1, driftPeriodMin: 120 },
+            gps_lat: { distribution: 'gaussian', amplitude: 0.00003, dropout: 0.02 },
+            gps_long: { distribution: 'gaussian', amplitude: 0.00003, dropout: 0.02 }
+        }
+    },
+    // Stress test for alert logic: drifting thermistors, GPS multipath, frequent dropouts
+    faulty: {
+        label: 'Faulty sensors',
+        fields: {
+            pct_lying: { distribution: 'gaussian', amplitude: 0.05, dropout: 0.05, ...PCT },
+            pct_standing: { distribution: 'gaussian', amplitude: 0.05, dropout: 0.05, ...PCT },
+            pct_walking: { distribution: 'gaussian', amplitude: 0.05, dropout: 0.05, ...PCT },
+            pct_eating: { distribution: 'gaussian', amplitude: 0.05, dropout: 0.05, ...PCT },
+            neck_temp_c: { distribution: 'gaussian', amplitude: 0.3, drift: 1, driftPeriodMin: 60, dropout: 0.1 },
+            activity_index: { distribution: 'gaussian', amplitude: 0.03, dropout: 0.1, min: 0 },
+            heat_index: { distribution: 'gaussian', amplitude: 1, drift: 4, driftPeriodMin: 60, dropout: 0.05 },
+            gps_lat: { distribution: 'gaussian', amplitude: 0.0003, dropout: 0.2 },
+            gps_long: { distribution: 'gaussian', amplitude: 0.0003, dropout: 0.2 }
+        }
+    }
+};
+
+export const DEFAULT_NOISE = { profile: 'demo', seed: 1 };
@@ -0,0 +1,177 @@
+import { parse, format } from 'date-fns';
+import { SCHEMAS } from './schemas';
+
+// Column mapping for vendor CSV imports: vendor columns -> health telemetry schema fields, with unit
+// and timestamp conversion. A mapping (saved as a vendor profile) looks like
+//   {
+//     timestamp: { column: 'Time', format: 'dd/MM/yyyy HH:mm' },
+//     cow_id:    { column: 'Tag' } or { value: 'COW_01' }   (whole file is one animal)
+//     fields:    { neck_temp_c: { column: 'Temp', unit: 'F' }, gps_lat: { column: 'Lat', unit: 'deg' }, ... }
+//   }
+
+export const TARGET_FIELDS = Object.keys(SCHEMAS.health.columns).filter(f => f !== 'timestamp' && f !== 'cow_id');
+
+// Unit options per field (first = schema unit); each converts a vendor value to the schema unit
+const TEMPERATURE = {
+    C: v => v,
+    F: v => ((v - 32) * 5) / 9,
+    K: v => v - 273.15
+};
+const FRACTION = {
+    fraction: v => v,
+    percent: v => v / 100
+};
+const DEGREES = {
+    deg: v => v,
+    'deg*1e7': v => v / 1e7 // Integer coordinates from GNSS modules
+};
+
+export const UNITS = {
+    neck_temp_c: TEMPERATURE,
+    env_temp_c: TEMPERATURE,
+    rumination_level: FRACTION,
+    pct_lying: FRACTION,
+    pct_standing: FRACTION,
+    pct_rumination: FRACTION,
+    pct_walking: FRACTION,
+    pct_eating: FRACTION,
+    battery_v: {
+        V: v => v,
+        mV: v => v / 1000
+    },
+    gps_lat: DEGREES,
+    gps_long: DEGREES
+};
+
+// 'auto' leaves parsing to Date (ISO 8601 and 'yyyy-MM-dd HH:mm:ss'); others are date-fns patterns
+export const TIMESTAMP_FORMATS = [
+    { id: 'auto', label: 'Auto (ISO / yyyy-MM-dd HH:mm:ss)' },
+    { id: 'epoch_s', label: 'Unix seconds' },
+    { id: 'epoch_ms', label: 'Unix milliseconds' },
+    { id: 'dd/MM/yyyy HH:mm:ss', label: 'dd/MM/yyyy HH:mm:ss' },
+    { id: 'dd/MM/yyyy HH:mm', label: 'dd/MM/yyyy HH:mm' },
+    { id: 'MM/dd/yyyy HH:mm:ss', label: 'MM/dd/yyyy HH:mm:ss' },
+    { id: 'MM/dd/yyyy hh:mm a', label: 'MM/dd/yyyy hh:mm AM/PM' },
+    { id: 'dd.MM.yyyy HH:mm:ss', label: 'dd.MM.yyyy HH:mm:ss' }
+];
+
+// Common vendor spellings per field, compared after lower-casing and stripping non-alphanumerics
+const ALIASES = {
+    timestamp: ['timestamp', 'time', 'datetime', 'date', 'ts', 'recordedat'],
+    cow_id: ['cowid', 'cow', 'animalid', 'animal', 'tag', 'tagid', 'collarid', 'id', 'eid'],
+    neck_temp_c: ['necktempc', 'temp', 'temperature', 'bodytemp', 'necktemp', 'tempc', 'tempf'],
+    env_temp_c: ['envtempc', 'ambienttemp', 'airtemp', 'envtemp', 'ambient'],
+    activity_index: ['activityindex', 'activity', 'act'],
+    rumination_level: ['ruminationlevel', 'rumination', 'rum'],
+    heat_index: ['heatindex', 'thi'],
+    battery_v: ['batteryv', 'battery', 'batt', 'voltage', 'batterymv'],
+    gps_lat: ['gpslat', 'lat', 'latitude'],
+    gps_long: ['gpslong', 'lon', 'lng', 'long', 'longitude'],
+    health_status: ['healthstatus', 'status', 'health'],
+    label_estrus: ['labelestrus', 'estrus', 'heat']
+};
+
+const normalize = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Unit hint from the header, e.g. 'Temp (F)', 'batt_mV', 'Activity %'
+function guessUnit(field, header) {
+    const units = UNITS[field];
+    if (!units) return undefined;
+    const h = String(header).toLowerCase();
+    if (units === TEMPERATURE) return /(\(|_|\b)f\)?$|fahrenheit/.test(h) ? 'F' : /(\(|_|\b)k\)?$|kelvin/.test(h) ? 'K' : 'C';
+    if (units === FRACTION) return /%|percent|pct/.test(h) && !h.startsWith('pct_') ? 'percent' : 'fraction';
+    if (field === 'battery_v') return /mv/.test(h) ? 'mV' : 'V';
+    return Object.keys(units)[0];
+}
+
+/**
+ * Header matched to each field by name, alias or alias prefix; fields without a match are left out.
+ * @param {Array<string>} headers
+ * @returns {Object} field -> header
+ */
+export function matchHeaders(headers) {
+    const targets = ['timestamp', 'cow_id', ...TARGET_FIELDS];
+    const found = {};
+    const used = new Set();
+    const claim = (field, header) => {
+        found[field] = header;
+        used.add(header);
+    };
+
+    // Exact names first, then aliases, then headers starting with an alias ('Batt mV', 'Temp_F')
+    const passes = [
+        (field, h) => h === field,
+        (field, h) => (ALIASES[field] || []).includes(normalize(h)),
+        (field, h) => (ALIASES[field] || []).some(a => a.length >= 3 && normalize(h).startsWith(a))
+    ];
+    passes.forEach(matches => {
+        targets.forEach(field => {
+            if (found[field]) return;
+            const header = headers.find(h => !used.has(h) && matches(field, h));
+            if (header) claim(field, header);
+        });
+    });
+    return found;
+}
+
+/**
+ * Best-guess mapping for a vendor header row. Without a timestamp-like header, the first column is
+ * offered as the timestamp (for the user to correct in the import wizard).
+ * @param {Array<string>} headers
+ * @returns {Object} mapping (see top of file)
+ */
+export function guessMapping(headers) {
+    const found = matchHeaders(headers);
+    const fields = {};
+    TARGET_FIELDS.forEach(field => {
+        if (found[field]) fields[field] = { column: found[field], unit: guessUnit(field, found[field]) };
+    });
+
+    return {
+        timestamp: { column: found.timestamp || headers[0], format: 'auto' },
+        cow_id: found.cow_id ? { column: found.cow_id } : { value: 'COW_01' },
+        fields
+    };
+}
+
+function toEpochMs(value, fmt) {
+    if (value === null || value === undefined || value === '') return NaN;
+    if (fmt === 'epoch_s') return Number(value) * 1000;
+    if (fmt === 'epoch_ms') return Number(value);
+    if (fmt === 'auto') return new Date(value).getTime();
+    return parse(String(value), fmt, new Date()).getTime();
+}
+
+/**
+ * Convert vendor rows into health telemetry rows.
+ * Rows whose timestamp can't be parsed keep an empty timestamp (dropped and reported by validation).
+ * @param {Array} rows - Papa rows (header: true)
+ * @param {Object} mapping
+ * @returns {Array}
+ */
+export function applyMapping(rows, mapping) {
+    return rows.map(row => {
+        const time = toEpochMs(row[mapping.timestamp.column], mapping.timestamp.format);
+        const out = {
+            timestamp: Number.isNaN(time) ? '' : format(new Date(time), 'yyyy-MM-dd HH:mm:ss'),
+            cow_id: mapping.cow_id.column ? String(row[mapping.cow_id.column] ?? '') : mapping.cow_id.value
+        };
+
+        Object.entries(mapping.fields).forEach(([field, { column, unit }]) => {
+            const value = row[column];
+            const convert = UNITS[field]?.[unit];
+            out[field] = typeof value === 'number' && convert ? convert(value) : value;
+        });
+        return out;
+    });
+}
+
+// Does a saved mapping fit these headers (every column it reads is present)?
+export function mappingFits(mapping, headers) {
+    const columns = [
+        mapping.timestamp.column,
+        mapping.cow_id.column,
+        ...Object.values(mapping.fields).map(f => f.column)
+    ].filter(Boolean);
+    return columns.every(c => headers.includes(c));
+}
@@ -0,0 +1,76 @@
+import { guessMapping, matchHeaders, applyMapping } from './importMapping';
+
+// Decoding of MQTT collar messages into health telemetry (cattle_dashboard) rows.
+//
+// A payload is JSON: one reading, an array of readings, or { rows: [...] }. Readings are mapped onto
+// the schema the same way as a vendor CSV import (data/importMapping.js): exact column names, then
+// vendor aliases and unit hints ('temp_f', 'batt_mV', ...), unless the source gives an explicit
+// `mapping`. Numeric timestamps are read as Unix seconds or milliseconds unless the mapping says.
+// Readings without a timestamp (no timestamp-like key, or an empty one) are stamped with the time
+// the message arrived.
+//
+// Topic patterns are MQTT topic filters with an optional {cow} level standing for one topic level,
+// e.g. 'sdash/farm1/{cow}/telemetry'. The cow id comes from the reading, else from that level.
+
+const decoder = new TextDecoder();
+const guessed = new Map(); // Column set -> guessed mapping (a gateway's messages share their shape)
+const ARRIVAL_COLUMN = '\u0000arrival'; // Stand-in timestamp column for readings without one
+
+/**
+ * Topic filter to subscribe to for a topic pattern, and the cow id a topic carries.
+ * @param {string} pattern
+ * @returns {{filter: string, cowOf: (topic: string) => string|null}}
+ */
+export function parseTopicPattern(pattern) {
+    const levels = pattern.split('/');
+    const cowLevel = levels.indexOf('{cow}');
+    return {
+        filter: levels.map(level => (level === '{cow}' ? '+' : level)).join('/'),
+        cowOf: (topic) => (cowLevel >= 0 ? topic.split('/')[cowLevel] ?? null : null)
+    };
+}
+
+// Guessed mapping; timestamp: null when no key looks like a time (guessMapping would offer the first)
+function mappingFor(headers) {
+    const key = headers.join('\u0000');
+    if (!guessed.has(key)) {
+        const mapping = guessMapping(headers);
+        guessed.set(key, matchHeaders(headers).timestamp ? mapping : { ...mapping, timestamp: null });
+    }
+    return guessed.get(key);
+}
+
+/**
+ * Decode one MQTT message.
+ * @param {Uint8Array|string} payload
+ * @param {{cow?: string|null, mapping?: Object|null, receivedAt?: number}} [options] - cow: id from the topic;
+ *   mapping: fixed column mapping; receivedAt: arrival time (epoch ms) for readings without a timestamp
+ * @returns {Array} health telemetry rows (validated downstream like any other source)
+ */
+export function decodePayload(payload, { cow = null, mapping = null, receivedAt = Date.now() } = {}) {
+    const body = JSON.parse(typeof payload === 'string' ? payload : decoder.decode(payload));
+    const readings = Array.isArray(body) ? body : Array.isArray(body?.rows) ? body.rows : [body];
+
+    return readings
+        .filter(reading => reading !== null && typeof reading === 'object')
+        .map(reading => {
+            const base = mapping || mappingFor(Object.keys(reading));
+            const time = base.timestamp ? reading[base.timestamp.column] : undefined;
+            const arrival = time === undefined || time === null || time === '';
+            const hasCow = base.cow_id.column && reading[base.cow_id.column] !== undefined;
+
+            let timestamp = { column: ARRIVAL_COLUMN, format: 'epoch_ms' };
+            if (!arrival) {
+                const format = base.timestamp.format === 'auto' && typeof time === 'number'
+                    ? (time < 1e11 ? 'epoch_s' : 'epoch_ms')
+                    : base.timestamp.format;
+                timestamp = { ...base.timestamp, format };
+            }
+
+            return applyMapping([arrival ? { ...reading, [ARRIVAL_COLUMN]: receivedAt } : reading], {
+                ...base,
+                timestamp,
+                cow_id: hasCow ? base.cow_id : { value: cow ?? '' }
+            })[0];
+        });
+}
@@ -0,0 +1,79 @@
+// Column schemas for the dataset types the dashboard reads. Used by data/validation.js to check
+// (and clean) rows as they are loaded.
+//
+// Column: { type, required, min, max }
+//   type: 'number' | 'string' | 'id' (string or number) | 'timestamp'
+//   required columns missing from a file are errors, optional ones warnings
+// idColumn / timeColumn: per-animal series key and sample time (duplicates and gaps are checked on these)
+// sampleIntervalSec: nominal sampling interval; gaps longer than twice this are reported
+
+const PCT = { type: 'number', required: true, min: 0, max: 1 };
+
+export const SCHEMAS = {
+    health: {
+        label: 'Health telemetry',
+        idColumn: 'cow_id',
+        timeColumn: 'timestamp',
+        sampleIntervalSec: 60,
+        columns: {
+            timestamp: { type: 'timestamp', required: true },
+            cow_id: { type: 'id', required: true },
+            activity_index: { type: 'number', required: true, min: 0 },
+            rumination_level: { type: 'number', min: 0, max: 1 },
+            pct_lying: PCT,
+            pct_standing: PCT,
+            pct_rumination: { ...PCT, required: false },
+            pct_walking: PCT,
+            pct_eating: PCT,
+            health_status: { type: 'string' },
+            neck_temp_c: { type: 'number', required: true, min: 30, max: 45 },
+            env_temp_c: { type: 'number', min: -40, max: 55 },
+            heat_index: { type: 'number', min: 0, max: 120 },
+            battery_v: { type: 'number', min: 0, max: 5 },
+            gps_lat: { type: 'number', min: -90, max: 90 },
+            gps_long: { type: 'number', min: -180, max: 180 },
+            label_estrus: { type: 'number', min: 0, max: 1 }
+        }
+    },
+    posture: {
+        label: 'Legacy posture',
+        idColumn: 'AnimalID',
+        timeColumn: 'Timestamp',
+        sampleIntervalSec: 600,
+        columns: {
+            AnimalID: { type: 'id', required: true },
+            Timestamp: { type: 'timestamp', required: true },
+            Classification: { type: 'number', required: true, min: 0, max: 2 }, // 0=Lying, 1=Standing, 2=Eating
+            Age: { type: 'number', min: 0, max: 30 },
+            Breed: { type: 'string' },
+            Color: { type: 'string' },
+            Image: { type: 'string' }
+        }
+    },
+    imu: {
+        label: 'Raw IMU',
+        idColumn: 'AnimalID',
+        timeColumn: 'Timestamp',
+        sampleIntervalSec: 10,
+        columns: {
+            AnimalID: { type: 'id', required: true },
+            AccX: { type: 'number', required: true, min: -16, max: 16 }, // g (sensor full scale)
+            AccY: { type: 'number', required: true, min: -16, max: 16 },
+            AccZ: { type: 'number', required: true, min: -16, max: 16 },
+            GyroX: { type: 'number', required: true, min: -35, max: 35 }, // rad/s (~2000 deg/s)
+            GyroY: { type: 'number', required: true, min: -35, max: 35 },
+            GyroZ: { type: 'number', required: true, min: -35, max: 35 },
+            Timestamp: { type: 'timestamp', required: true },
+            Classification: { type: 'string' } // Ground truth, optional
+        }
+    }
+};
+
+// Schema id for a row's columns, or null if it matches none
+export function detectSchema(row) {
+    if (!row) return null;
+    if ('cow_id' in row) return 'health';
+    if ('AccX' in row) return 'imu';
+    if ('AnimalID' in row && 'Classification' in row) return 'posture';
+    return null;
+}
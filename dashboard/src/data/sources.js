@@ -0,0 +1,538 @@
+import { detectSchema } from './schemas';
+import { cleanRows, mergeIssues } from './validation';
+import { loadDataset, saveDataset } from './telemetryCache';
+import { parseTopicPattern, decodePayload } from './mqttPayload';
+
+// Data-source layer behind useCowData.
+// A source config ({ type, ...options }) picks an adapter; every adapter pushes rows into a shared
+// store through a sink, so any number of views can read one source without re-fetching it.
+//
+// Adapter: (options, sink) => cleanup
+// Sink:    { replace(rows), append(rows), progress(p), cached(info), done(), ready(), error(err) }
+//          one-shot adapters call done() once everything is delivered
+//
+// CSV sources are cached in IndexedDB (data/telemetryCache.js): the cached rows show at once, then
+// the file is checked for a new version and only the rows appended since are downloaded.
+//
+// Incoming rows are checked against their schema (data/schemas.js, detected from the columns or
+// forced with config.schema) and cleaned; the issues found are kept in the store's `quality`.
+
+const DEFAULT_MAX_ROWS = 100000; // Streaming sources drop the oldest rows past this
+const VERSION_TIMEOUT_MS = 5000; // Flaky barn links: fall back to the cache rather than wait
+
+// --- CSV Worker ---
+
+let csvWorker = null;
+let nextParseId = 0;
+const parses = new Map();
+
+function getCsvWorker() {
+    if (!csvWorker) {
+        csvWorker = new Worker(new URL('../workers/csvWorker.js', import.meta.url), { type: 'module' });
+
+        csvWorker.onmessage = ({ data: msg }) => {
+            const parse = parses.get(msg.id);
+            if (!parse) return;
+
+            if (msg.type === 'chunk') return parse.onChunk(msg.rows, msg.progress);
+            parses.delete(msg.id);
+            if (msg.type === 'done') parse.resolve(msg.progress);
+            else parse.reject(new Error(msg.error));
+        };
+
+        csvWorker.onerror = (event) => {
+            parses.forEach(parse => parse.reject(new Error(event.message || 'CSV worker crashed')));
+            parses.clear();
+        };
+    }
+    return csvWorker;
+}
+
+/**
+ * Stream-parse a CSV (URL or File) in the CSV worker.
+ * @param {string|File} input
+ * @param {(rows: Array, progress: {rows: number, bytes: number, totalBytes: number|null}) => void} onChunk
+ * @returns {{promise: Promise, cancel: Function}} promise resolves with the final progress
+ */
+export function parseCsvInWorker(input, onChunk) {
+    const id = nextParseId++;
+    const promise = new Promise((resolve, reject) => parses.set(id, { onChunk, resolve, reject }));
+
+    // Workers resolve relative URLs against their own script, so send an absolute one
+    const target = typeof input === 'string' ? new URL(input, window.location.href).href : input;
+    getCsvWorker().postMessage({ id, type: 'parse', input: target });
+
+    return {
+        promise,
+        cancel: () => {
+            if (parses.delete(id)) getCsvWorker().postMessage({ id, type: 'cancel' });
+        }
+    };
+}
+
+// --- CSV Versions ---
+
+const NO_VERSION = { etag: null, lastModified: null, size: null };
+
+// Version stamp of a CSV from a HEAD request. Rejects when the server can't be reached.
+function fetchVersion(url) {
+    if (!navigator.onLine) return Promise.reject(new Error('Offline'));
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), VERSION_TIMEOUT_MS);
+    return fetch(url, { method: 'HEAD', cache: 'no-store', signal: controller.signal })
+        .then(res => {
+            if (res.status >= 500) throw new Error(`${res.status} ${res.statusText}`);
+            if (!res.ok) return NO_VERSION; // e.g. HEAD not allowed: re-read the file every time
+            return {
+                etag: res.headers.get('ETag'),
+                lastModified: res.headers.get('Last-Modified'),
+                // Byte offsets only mean something for uncompressed responses
+                size: res.headers.get('Content-Encoding') ? null : Number(res.headers.get('Content-Length')) || null
+            };
+        })
+        .finally(() => clearTimeout(timer));
+}
+
+const sameVersion = (a, b) => {
+    const known = ['etag', 'lastModified', 'size'].filter(k => a[k] !== null && b[k] !== null);
+    return known.length > 0 && known.every(k => a[k] === b[k]);
+};
+
+const csvLine = (fields) => fields.map(f => (/[",\r\n]/.test(f) ? `"${f.replace(/"/g, '""')}"` : f)).join(',');
+
+// Rows appended to a CSV since it was cached, as a CSV Blob with the header line.
+// Null when the file didn't just grow (rewritten, truncated, or the server ignores Range).
+function fetchDelta(url, meta, version) {
+    const from = meta.version.size;
+    if (!from || !version.size || version.size <= from || !meta.fields.length) return Promise.resolve(null);
+
+    // Start one byte early: the cached part must end exactly at a line break
+    return fetch(url, { headers: { Range: `bytes=${from - 1}-` }, cache: 'no-store' })
+        .then(res => (res.status === 206 ? res.text() : null))
+        .then(text => (text && text[0] === '\n' ? new Blob([csvLine(meta.fields), text]) : null))
+        .catch(() => null);
+}
+
+// --- Adapters ---
+
+// Static CSV under public/ (or any URL). One-shot: parsed once, kept for the session.
+// `paths` joins several exports (e.g. one file per day) into one multi-day dataset, read in order.
+// Rows are delivered while parsing; deliveries grow geometrically so merging chunks stays linear.
+// Each file is cached under its URL (cache: false to opt out); a File is cached under `cacheKey`.
+function csvAdapter({ path, paths, cache = true, cacheKey }, sink) {
+    const inputs = paths || [path];
+    const keyOf = (input) => (typeof input === 'string' ? new URL(input, window.location.href).href : cacheKey);
+    const cached = cache && inputs.every(keyOf);
+
+    let cancelled = false;
+    let current = null;
+    let showingCache = false; // Cached rows are up; updates are held back and applied at the end
+    let offline = false;
+    let delivered = 0;
+    let buffer = [];
+    let buffered = 0;
+    let finished = { rows: 0, bytes: 0, totalBytes: 0 }; // Progress of the files already read
+
+    const flush = () => {
+        if (!buffered) return;
+        const rows = buffer.flat();
+        buffer = [];
+        buffered = 0;
+        if (delivered === 0) sink.replace(rows);
+        else sink.append(rows);
+        delivered += rows.length;
+    };
+
+    const deliver = (rows) => {
+        if (showingCache) return;
+        buffer.push(rows);
+        buffered += rows.length;
+        if (delivered === 0 || buffered >= delivered / 2) flush();
+    };
+
+    const total = (progress) => ({
+        rows: finished.rows + progress.rows,
+        bytes: finished.bytes + progress.bytes,
+        totalBytes: finished.totalBytes === null || progress.totalBytes === null ? null : finished.totalBytes + progress.totalBytes
+    });
+
+    const readFile = (input) => {
+        const chunks = [];
+        current = parseCsvInWorker(input, (rows, progress) => {
+            chunks.push(rows);
+            sink.progress(total(progress));
+            deliver(rows);
+        });
+        return current.promise.then(progress => {
+            finished = total(progress);
+            return chunks.flat();
+        });
+    };
+
+    const store = (key, meta, rows, offset) => {
+        saveDataset(key, meta, rows, offset).catch(e => console.error("Telemetry cache write failed:", e));
+    };
+
+    // One file: the cached copy if it's current, cached copy + appended rows if the file only grew,
+    // else a full read. Resolves with { rows, delta, changed }.
+    const sync = (input, entry) => {
+        const key = keyOf(input);
+        if (!cached) return readFile(input).then(rows => ({ rows, changed: true }));
+        if (typeof input !== 'string') {
+            const version = { etag: null, lastModified: input.lastModified, size: input.size };
+            return readFile(input).then(rows => {
+                store(key, { version, fields: Object.keys(rows[0] || {}) }, rows, 0);
+                return { rows, changed: true };
+            });
+        }
+
+        return fetchVersion(key).then(version => {
+            if (entry && sameVersion(entry.meta.version, version)) {
+                deliver(entry.rows);
+                return { rows: entry.rows, changed: false };
+            }
+
+            return (entry ? fetchDelta(key, entry.meta, version) : Promise.resolve(null)).then(delta => {
+                if (cancelled) return { rows: [], changed: false };
+                if (delta) {
+                    deliver(entry.rows);
+                    return readFile(delta).then(rows => {
+                        store(key, { version, fields: entry.meta.fields }, rows, entry.rows.length);
+                        return { rows: entry.rows.concat(rows), delta: rows, changed: true };
+                    });
+                }
+                return readFile(input).then(rows => {
+                    store(key, { version, fields: Object.keys(rows[0] || {}) }, rows, 0);
+                    return { rows, changed: true };
+                });
+            });
+        }, err => {
+            if (!entry) return readFile(input).then(rows => ({ rows, changed: true })); // Report the real failure
+            console.error("Telemetry version check failed:", err);
+            offline = true;
+            deliver(entry.rows);
+            return { rows: entry.rows, changed: false };
+        });
+    };
+
+    // A new File always replaces what was cached for it
+    const cachedEntries = cached && typeof inputs[0] === 'string'
+        ? Promise.all(inputs.map(input => loadDataset(keyOf(input)).catch(e => {
+            console.error("Telemetry cache read failed:", e);
+            return null;
+        })))
+        : Promise.resolve(inputs.map(() => null));
+
+    cachedEntries
+        .then(entries => {
+            if (cancelled) return;
+            if (entries.every(Boolean)) {
+                showingCache = true;
+                sink.replace(entries.flatMap(entry => entry.rows));
+                sink.cached({ savedAt: Math.min(...entries.map(entry => entry.meta.savedAt)), offline: false });
+            }
+
+            return inputs.reduce(
+                (chain, input, i) => chain.then(results => (cancelled ? results : sync(input, entries[i]).then(result => [...results, result]))),
+                Promise.resolve([])
+            ).then(results => {
+                if (cancelled) return;
+                if (showingCache) {
+                    // Rows appended to the last file can go on the end; anything else rebuilds the dataset
+                    const changed = results.filter(r => r.changed);
+                    const last = results[results.length - 1];
+                    if (changed.length === 1 && changed[0] === last && last.delta) sink.append(last.delta);
+                    else if (changed.length) sink.replace(results.flatMap(r => r.rows));
+                } else {
+                    flush();
+                    if (delivered === 0) sink.replace([]);
+                }
+                sink.cached(offline ? { savedAt: Math.min(...entries.filter(Boolean).map(entry => entry.meta.savedAt)), offline } : null);
+                sink.done();
+            });
+        })
+        .catch(err => { if (!cancelled) sink.error(err); });
+
+    return () => {
+        cancelled = true;
+        current?.cancel();
+    };
+}
+csvAdapter.once = true;
+
+// CSV picked by the user, cached per farm. Until a File is handed to the store it shows the last
+// upload from the cache, or waits (not loading) if there is none.
+function fileAdapter({ id, file }, sink) {
+    const cacheKey = `file:${id}`;
+    if (file) return csvAdapter({ path: file, cacheKey }, sink);
+
+    let cancelled = false;
+    loadDataset(cacheKey)
+        .catch(e => {
+            console.error("Telemetry cache read failed:", e);
+            return null;
+        })
+        .then(entry => {
+            if (cancelled) return;
+            if (!entry) return sink.ready();
+            sink.replace(entry.rows);
+            sink.done();
+        });
+
+    return () => { cancelled = true; };
+}
+fileAdapter.once = true;
+
+// REST polling: GET url[?since=<last timestamp>] every intervalMs.
+// Accepts a JSON array of rows or { rows: [...] }.
+function restAdapter({ url, intervalMs = 10000, sinceParam = 'since' }, sink) {
+    let since = null;
+    let timer = null;
+    let cancelled = false;
+
+    const poll = () => {
+        const target = new URL(url, window.location.href);
+        if (since) target.searchParams.set(sinceParam, since);
+
+        fetch(target)
+            .then(res => {
+                if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+                return res.json();
+            })
+            .then(body => {
+                if (cancelled) return;
+                const rows = Array.isArray(body) ? body : body.rows || [];
+                if (rows.length) since = rows[rows.length - 1].timestamp;
+                sink.append(rows);
+            })
+            .catch(e => { if (!cancelled) sink.error(e); })
+            .finally(() => { if (!cancelled) timer = setTimeout(poll, intervalMs); });
+    };
+
+    poll();
+    return () => {
+        cancelled = true;
+        clearTimeout(timer);
+    };
+}
+
+// WebSocket stream: each message is one row or an array of rows (JSON). Reconnects on close.
+function websocketAdapter({ url, retryMs = 5000 }, sink) {
+    let socket = null;
+    let timer = null;
+    let cancelled = false;
+
+    const connect = () => {
+        socket = new WebSocket(url);
+        socket.onopen = () => sink.ready();
+        socket.onmessage = (event) => {
+            try {
+                const body = JSON.parse(event.data);
+                sink.append(Array.isArray(body) ? body : [body]);
+            } catch (e) {
+                console.error("Telemetry message parse failed:", e);
+            }
+        };
+        socket.onerror = () => sink.error(new Error(`WebSocket error: ${url}`));
+        socket.onclose = () => {
+            if (!cancelled) timer = setTimeout(connect, retryMs);
+        };
+    };
+
+    connect();
+    return () => {
+        cancelled = true;
+        clearTimeout(timer);
+        socket?.close();
+    };
+}
+
+// MQTT over WebSocket: collar gateways, or a local broker (Mosquitto with a websockets listener).
+// Subscribes to `topic` (a pattern with an optional {cow} level, see data/mqttPayload.js) and appends
+// the decoded rows in batches every flushMs. The client library is only loaded for MQTT farms and
+// reconnects on its own every retryMs.
+function mqttAdapter({ url, topic, username, password, clientId, mapping = null, qos = 0, retryMs = 5000, flushMs = 500 }, sink) {
+    const { filter, cowOf } = parseTopicPattern(topic);
+    let client = null;
+    let pending = [];
+    let cancelled = false;
+
+    const timer = setInterval(() => {
+        if (!pending.length) return;
+        const rows = pending;
+        pending = [];
+        sink.append(rows);
+    }, flushMs);
+
+    import('mqtt')
+        .then(({ default: mqtt }) => {
+            if (cancelled) return;
+            client = mqtt.connect(url, { username, password, clientId, reconnectPeriod: retryMs });
+
+            client.on('connect', () => {
+                client.subscribe(filter, { qos }, (err) => {
+                    if (err) sink.error(err);
+                    else sink.ready();
+                });
+            });
+            client.on('message', (messageTopic, payload) => {
+                try {
+                    pending.push(...decodePayload(payload, { cow: cowOf(messageTopic), mapping }));
+                } catch (e) {
+                    console.error("Telemetry message parse failed:", e);
+                }
+            });
+            client.on('error', (err) => sink.error(err));
+        })
+        .catch(e => { if (!cancelled) sink.error(e); });
+
+    return () => {
+        cancelled = true;
+        clearInterval(timer);
+        client?.end(true);
+    };
+}
+
+// Rows already in memory (vendor CSV import, see components/layout/ImportWizard.jsx)
+const importedRows = new Map();
+let nextImportId = 1;
+
+/**
+ * Register converted rows for an { type: 'import', id } source.
+ * @param {Array} rows
+ * @returns {{type: string, id: number}} source config
+ */
+export function registerImport(rows) {
+    const id = nextImportId++;
+    importedRows.set(id, rows);
+    return { type: 'import', id };
+}
+
+function importAdapter({ id }, sink) {
+    if (importedRows.has(id)) {
+        sink.replace(importedRows.get(id));
+        sink.done();
+    } else sink.error(new Error('Imported data is no longer available; import the file again'));
+    return () => {};
+}
+importAdapter.once = true;
+
+// Source types that feed the present as it happens (the clock's LIVE mode is then the wall clock)
+export const REALTIME_SOURCES = ['rest', 'websocket', 'mqtt'];
+
+export const ADAPTERS = {
+    csv: csvAdapter,
+    file: fileAdapter,
+    rest: restAdapter,
+    websocket: websocketAdapter,
+    mqtt: mqttAdapter,
+    import: importAdapter
+};
+
+// --- Shared Stores ---
+
+const uniqueCows = (rows) => [...new Set(rows.map(r => r.cow_id))].filter(Boolean).sort();
+
+function createSourceStore(config) {
+    const adapter = ADAPTERS[config.type];
+    const maxRows = adapter?.once ? Infinity : config.maxRows || DEFAULT_MAX_ROWS; // Files are kept whole
+
+    // loading: nothing to show yet; progress: { rows, bytes, totalBytes } while a file streams in
+    // cached: { savedAt, offline } while showing rows from the IndexedDB cache that the source hasn't confirmed
+    let state = { data: [], cows: [], loading: true, error: null, progress: null, cached: null, quality: { schema: null, issues: [] } };
+    let options = config;
+    let stop = null;
+    let loaded = false;
+    let received = 0; // Rows seen so far, for issue examples
+    const listeners = new Set();
+
+    const setState = (patch) => {
+        state = { ...state, ...patch };
+        listeners.forEach(listener => listener());
+    };
+
+    const sink = {
+        replace: (rows) => {
+            received = rows.length;
+            const schema = config.schema || detectSchema(rows[0]);
+            const { rows: clean, issues } = cleanRows(rows, schema);
+            setState({ data: clean, cows: uniqueCows(clean), loading: false, error: null, quality: { schema, issues } });
+        },
+        append: (rows) => {
+            if (!rows.length) return setState({ loading: false, error: null });
+            const schema = state.quality.schema || config.schema || detectSchema(rows[0]);
+            const { rows: clean, issues } = cleanRows(rows, schema, received);
+            received += rows.length;
+
+            const data = [...state.data, ...clean];
+            const trimmed = data.length > maxRows ? data.slice(data.length - maxRows) : data;
+            setState({
+                data: trimmed,
+                cows: uniqueCows(trimmed),
+                loading: false,
+                error: null,
+                quality: { schema, issues: mergeIssues(state.quality.issues, issues) }
+            });
+        },
+        progress: (progress) => setState({ progress }),
+        cached: (cached) => setState({ cached }),
+        done: () => {
+            loaded = true;
+            setState({ loading: false, progress: null });
+        },
+        ready: () => setState({ loading: false }),
+        error: (err) => setState({ error: err, loading: false, progress: null })
+    };
+
+    const start = () => {
+        if (!adapter) return sink.error(new Error(`Unknown data source type: ${config.type}`));
+        if (adapter.once && loaded) return;
+        stop = adapter(options, sink);
+    };
+
+    return {
+        getSnapshot: () => state,
+        subscribe: (listener) => {
+            listeners.add(listener);
+            if (listeners.size === 1) start();
+
+            return () => {
+                listeners.delete(listener);
+                if (listeners.size === 0 && stop) {
+                    stop();
+                    stop = null;
+                }
+            };
+        },
+        // Hand a File to a 'file' source and (re)parse it
+        loadFile: (file) => {
+            if (stop) stop();
+            options = { ...config, file };
+            loaded = false;
+            setState({ loading: true, error: null });
+            stop = adapter(options, sink);
+        }
+    };
+}
+
+const stores = new Map();
+
+/**
+ * Shared store for a source config; the same config always returns the same store.
+ * @param {{type: string}} config - e.g. { type: 'csv', path } or { type: 'websocket', url }.
+ */
+export function getSourceStore(config) {
+    const key = JSON.stringify(config);
+    if (!stores.has(key)) stores.set(key, createSourceStore(config));
+    return stores.get(key);
+}
+
+/**
+ * Drop an import's rows and the store holding them, once no farm reads it any more.
+ * @param {{type: string, id: number}} config - as returned by registerImport
+ */
+export function releaseImport(config) {
+    importedRows.delete(config.id);
+    stores.delete(JSON.stringify(config));
+}
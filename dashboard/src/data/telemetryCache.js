@@ -0,0 +1,104 @@
+// IndexedDB cache of parsed telemetry, so a farm's dashboard comes up without the network.
+//
+// datasets: { key, version, fields, rows, savedAt }   one per CSV (source URL, or file:<farm id> for uploads)
+//           version: { etag, lastModified, size } of the source when it was read
+// rows:     { dataset, cow, rows: [...], seq: [...] }  one cow's rows; seq = position in the file
+//
+// Rows are stored as parsed (before validation), so the data-quality report is the same from cache.
+
+const DB_NAME = 'sdash-telemetry';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+});
+
+// All of a dataset's cows: [key] sorts before [key, cow], and any cow before [key, []]
+const cowRange = (key) => IDBKeyRange.bound([key], [key, []]);
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = typeof indexedDB === 'undefined'
+            ? Promise.reject(new Error('IndexedDB is not available'))
+            : new Promise((resolve, reject) => {
+                const req = indexedDB.open(DB_NAME, DB_VERSION);
+                req.onupgradeneeded = () => {
+                    req.result.createObjectStore('datasets', { keyPath: 'key' });
+                    req.result.createObjectStore('rows', { keyPath: ['dataset', 'cow'] });
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+    }
+    return dbPromise;
+}
+
+function groupByCow(rows, offset) {
+    const groups = new Map();
+    rows.forEach((row, i) => {
+        const cow = String(row.cow_id ?? '');
+        if (!groups.has(cow)) groups.set(cow, { rows: [], seq: [] });
+        groups.get(cow).rows.push(row);
+        groups.get(cow).seq.push(offset + i);
+    });
+    return groups;
+}
+
+/**
+ * Read a cached dataset.
+ * @param {string} key
+ * @returns {Promise<{meta: Object, rows: Array}|null>} rows in their original file order; null if not cached
+ */
+export function loadDataset(key) {
+    return openDb().then(db => {
+        const tx = db.transaction(['datasets', 'rows'], 'readonly');
+        return Promise.all([
+            request(tx.objectStore('datasets').get(key)),
+            request(tx.objectStore('rows').getAll(cowRange(key)))
+        ]);
+    }).then(([meta, records]) => {
+        if (!meta) return null;
+
+        // Interleave the cows back into file order
+        const rows = new Array(meta.rows);
+        records.forEach(record => record.seq.forEach((pos, i) => { rows[pos] = record.rows[i]; }));
+        return { meta, rows: rows.filter(Boolean) };
+    });
+}
+
+/**
+ * Store parsed rows for a dataset.
+ * @param {string} key
+ * @param {{version: Object, fields: string[]}} meta - source version stamp and CSV columns
+ * @param {Array} rows
+ * @param {number} [offset=0] - rows already cached; > 0 appends a delta to them, 0 replaces the dataset
+ * @returns {Promise}
+ */
+export function saveDataset(key, meta, rows, offset = 0) {
+    return openDb().then(db => {
+        const tx = db.transaction(['datasets', 'rows'], 'readwrite');
+        const store = tx.objectStore('rows');
+
+        if (!offset) store.delete(cowRange(key));
+        groupByCow(rows, offset).forEach((group, cow) => {
+            if (!offset) return store.put({ dataset: key, cow, ...group });
+            store.get([key, cow]).onsuccess = (event) => {
+                const old = event.target.result;
+                store.put(old
+                    ? { dataset: key, cow, rows: old.rows.concat(group.rows), seq: old.seq.concat(group.seq) }
+                    : { dataset: key, cow, ...group });
+            };
+        });
+        tx.objectStore('datasets').put({ key, ...meta, rows: offset + rows.length, savedAt: Date.now() });
+
+        return transactionDone(tx);
+    });
+}
@@ -0,0 +1,156 @@
+import { SCHEMAS } from './schemas';
+
+// Data-quality checks against data/schemas.js.
+//
+// Row checks run on every batch as it is loaded (cleanRows): missing columns, wrong types, values
+// out of range. Wrong-typed values become null so charts leave a gap instead of drawing NaN, and rows
+// without a usable id or timestamp are dropped. Series checks (duplicate timestamps, sampling gaps)
+// need the whole dataset and run on demand (seriesIssues).
+//
+// Issue: { severity: 'error' | 'warning', kind, column, count, message, examples: [string] }
+
+const MAX_EXAMPLES = 3;
+
+function createCollector() {
+    const issues = new Map();
+    return {
+        add: (key, issue, example) => {
+            if (!issues.has(key)) issues.set(key, { ...issue, count: 0, examples: [] });
+            const entry = issues.get(key);
+            entry.count++;
+            if (example !== undefined && entry.examples.length < MAX_EXAMPLES) entry.examples.push(example);
+        },
+        list: () => [...issues.values()]
+    };
+}
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+function typeOk(type, value) {
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    if (type === 'id') return typeof value === 'string' || typeof value === 'number';
+    if (type === 'timestamp') return !Number.isNaN(new Date(value).getTime());
+    return true; // 'string': anything Papa produced is printable
+}
+
+const describe = (row, schema, index) => `row ${index + 1}${row[schema.idColumn] != null ? ` (${row[schema.idColumn]} @ ${row[schema.timeColumn]})` : ''}`;
+
+/**
+ * Check and clean one batch of parsed rows.
+ * @param {Array} rows - Papa output (dynamicTyping)
+ * @param {string|null} schemaId - Key of SCHEMAS, or null to pass rows through unchecked
+ * @param {number} [offset] - Index of the first row in the whole dataset (for examples)
+ * @returns {{rows: Array, issues: Array}}
+ */
+export function cleanRows(rows, schemaId, offset = 0) {
+    const schema = SCHEMAS[schemaId];
+    if (!schema || !rows.length) return { rows, issues: [] };
+
+    const issues = createCollector();
+    const columns = Object.entries(schema.columns);
+
+    // Columns absent from the file altogether: one issue, not one per row
+    const absent = new Set(columns.filter(([name]) => !rows.some(r => name in r)).map(([name]) => name));
+    absent.forEach(name => {
+        const required = schema.columns[name].required;
+        issues.add(`absent:${name}`, {
+            severity: required ? 'error' : 'warning',
+            kind: 'missing_column',
+            column: name,
+            message: `Column "${name}" is missing${required ? '' : ' (optional)'}`
+        });
+    });
+
+    const cleaned = [];
+    rows.forEach((row, i) => {
+        const at = describe(row, schema, offset + i);
+        let next = row;
+        const set = (name, value) => {
+            if (next === row) next = { ...row };
+            next[name] = value;
+        };
+
+        for (const [name, spec] of columns) {
+            if (absent.has(name)) {
+                set(name, null);
+                continue;
+            }
+
+            const value = row[name];
+            if (isMissing(value)) {
+                if (spec.required) issues.add(`empty:${name}`, { severity: 'warning', kind: 'missing_value', column: name, message: `Empty "${name}" values` }, at);
+                if (value !== null) set(name, null);
+                continue;
+            }
+
+            if (!typeOk(spec.type, value)) {
+                issues.add(`type:${name}`, { severity: 'error', kind: 'invalid_type', column: name, message: `"${name}" is not a valid ${spec.type}` }, `${at}: ${JSON.stringify(value)}`);
+                set(name, null);
+                continue;
+            }
+
+            if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+                issues.add(`range:${name}`, { severity: 'warning', kind: 'out_of_range', column: name, message: `"${name}" outside ${spec.min ?? '-inf'}..${spec.max ?? 'inf'}` }, `${at}: ${value}`);
+            }
+        }
+
+        // Unplottable without an animal and a time
+        if (isMissing(next[schema.idColumn]) || isMissing(next[schema.timeColumn])) {
+            issues.add('dropped', { severity: 'error', kind: 'dropped_row', column: null, message: 'Rows dropped (no animal id or timestamp)' }, at);
+            return;
+        }
+        cleaned.push(next);
+    });
+
+    return { rows: cleaned, issues: issues.list() };
+}
+
+// Combine issue lists from several batches (counts add up, examples keep the first few)
+export function mergeIssues(a, b) {
+    const merged = new Map(a.map(issue => [`${issue.kind}:${issue.column}`, issue]));
+    b.forEach(issue => {
+        const key = `${issue.kind}:${issue.column}`;
+        const prev = merged.get(key);
+        merged.set(key, prev
+            ? { ...prev, count: prev.kind === 'missing_column' ? prev.count : prev.count + issue.count, examples: [...prev.examples, ...issue.examples].slice(0, MAX_EXAMPLES) }
+            : issue);
+    });
+    return [...merged.values()];
+}
+
+const formatDuration = (ms) => (ms >= 3600000 ? `${(ms / 3600000).toFixed(1)} h` : `${Math.round(ms / 60000)} min`);
+
+/**
+ * Per-animal series checks over the whole dataset: duplicate timestamps and sampling gaps.
+ * @param {Array} rows - Cleaned rows
+ * @param {string|null} schemaId
+ * @returns {Array} issues
+ */
+export function seriesIssues(rows, schemaId) {
+    const schema = SCHEMAS[schemaId];
+    if (!schema || !rows.length) return [];
+
+    const issues = createCollector();
+    const byAnimal = new Map();
+    rows.forEach(row => {
+        const id = String(row[schema.idColumn]);
+        if (!byAnimal.has(id)) byAnimal.set(id, []);
+        byAnimal.get(id).push(new Date(row[schema.timeColumn]).getTime());
+    });
+
+    const maxGapMs = 2 * schema.sampleIntervalSec * 1000;
+    byAnimal.forEach((times, id) => {
+        times.sort((a, b) => a - b);
+        for (let i = 1; i < times.length; i++) {
+            const diff = times[i] - times[i - 1];
+            if (diff === 0) {
+                issues.add(`duplicate:${id}`, { severity: 'warning', kind: 'duplicate_timestamp', column: id, message: `${id}: duplicate timestamps` }, new Date(times[i]).toLocaleString());
+            } else if (diff > maxGapMs) {
+                issues.add(`gap:${id}`, { severity: 'warning', kind: 'sampling_gap', column: id, message: `${id}: sampling gaps over ${formatDuration(maxGapMs)}` },
+                    `${new Date(times[i - 1]).toLocaleString()} +${formatDuration(diff)}`);
+            }
+        }
+    });
+
+    return issues.list();
+}
@@ -1,36 +1,50 @@
-import { useState, useEffect } from 'react';
-import Papa from 'papaparse';
+import { useMemo, useSyncExternalStore } from 'react';
+import { getSourceStore } from '../data/sources';
+import { useFarm } from './useFarm';
+import { useScenarios } from './useScenarios';
+import { applyScenarios } from '../utils/scenarioInjection';
 
-const DATA_PATH = import.meta.env.BASE_URL + 'data/cattle_dashboard_5cows_varied_health.csv';
+const NO_SCENARIOS = [];
 
-export function useCowData() {
-    const [data, setData] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-    const [cows, setCows] = useState([]);
+// Stand-in store for a farm without the requested source
+const NO_SOURCE_STATE = { data: [], cows: [], loading: false, error: null, progress: null, cached: null, quality: { schema: null, issues: [] } };
+const NO_SOURCE = { subscribe: () => () => {}, getSnapshot: () => NO_SOURCE_STATE, loadFile: () => {} };
 
-    useEffect(() => {
-        Papa.parse(DATA_PATH, {
-            download: true,
-            header: true,
-            dynamicTyping: true,
-            skipEmptyLines: true,
-            complete: (results) => {
-                const rawData = results.data;
-                setData(rawData);
+/**
+ * Cow telemetry from the active farm's data source (static CSV, upload, REST, WebSocket or MQTT),
+ * scoped to the farm's herd, with the farm's scripted scenarios (useScenarios) applied, so every
+ * module and the clock's gap detection see the same rows.
+ * @param {'telemetry'|'imu'} [dataset='telemetry'] - 'imu' reads the farm's raw IMU collars (farm.imuSource)
+ * instead, e.g. for the posture model; they carry their own animal ids, so no herd scoping or scenarios.
+ * A farm without an IMU source gives no rows and source: null.
+ * Files are parsed in a worker and stream in: `loading` is only true until the first rows arrive,
+ * `progress` ({ rows, bytes, totalBytes }) is set until the whole file is in.
+ * Cached rows (data/telemetryCache.js) show first; `cached` ({ savedAt, offline }) is set while they
+ * haven't been checked against the source, and stays set with offline: true if it can't be reached.
+ * `quality` is the schema check of the loaded rows (data/validation.js).
+ * @returns {{data: Array, cows: Array, loading: boolean, error: any, progress: Object|null, cached: Object|null,
+ *   quality: {schema: string|null, issues: Array}, source: Object, loadFile: Function}}
+ */
+export function useCowData(dataset = 'telemetry') {
+    const farm = useFarm();
+    const isImu = dataset === 'imu';
+    const source = isImu ? farm.imuSource ?? null : farm.dataSource;
 
-                // Extract unique cows
-                const uniqueCows = [...new Set(rawData.map(r => r.cow_id))].filter(Boolean).sort();
-                setCows(uniqueCows);
+    const store = source ? getSourceStore(source) : NO_SOURCE;
+    const state = useSyncExternalStore(store.subscribe, store.getSnapshot);
 
-                setLoading(false);
-            },
-            error: (err) => {
-                setError(err);
-                setLoading(false);
-            }
-        });
-    }, []);
+    const herd = isImu ? null : farm.herd;
+    const geofence = isImu ? null : farm.geofence;
+    const farmScenarios = useScenarios(farm.id);
+    const scenarios = isImu ? NO_SCENARIOS : farmScenarios;
+    const scoped = useMemo(() => {
+        if (!herd?.length) return { data: applyScenarios(state.data, scenarios, geofence), cows: state.cows };
+        const ids = new Set(herd.map(a => a.id));
+        return {
+            data: applyScenarios(state.data.filter(r => ids.has(r.cow_id)), scenarios, geofence),
+            cows: state.cows.filter(id => ids.has(id))
+        };
+    }, [state.data, state.cows, herd, scenarios, geofence]);
 
-    return { data, cows, loading, error };
+    return { ...state, ...scoped, source, loadFile: store.loadFile };
 }
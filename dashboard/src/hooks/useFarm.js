@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react';
+import { getFarm } from '../config/farms';
+
+// Active farm (config/farms.js entry); provided by App, switched from the Sidebar
+export const FarmContext = createContext(getFarm());
+
+export function useFarm() {
+    return useContext(FarmContext);
+}
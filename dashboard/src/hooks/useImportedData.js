@@ -0,0 +1,46 @@
+import { useSyncExternalStore } from 'react';
+import { releaseImport } from '../data/sources';
+
+// Vendor CSVs imported this session, per farm and dataset: { telemetry?, imu? }, each
+// { source, name, rows }. While set, the farm reads the import instead of its configured
+// dataSource (telemetry) or imuSource (imu).
+let imports = {};
+const listeners = new Set();
+
+function update(next) {
+    imports = next;
+    listeners.forEach(listener => listener());
+}
+
+/**
+ * Point one of a farm's datasets at imported rows (registered with registerImport in data/sources.js).
+ * A previous import of the same dataset is released.
+ * @param {string} farmId
+ * @param {{source: Object, name: string, rows: number}} entry
+ * @param {'telemetry'|'imu'} [dataset='telemetry']
+ */
+export function setFarmImport(farmId, entry, dataset = 'telemetry') {
+    const previous = imports[farmId]?.[dataset];
+    update({ ...imports, [farmId]: { ...imports[farmId], [dataset]: entry } });
+    if (previous) releaseImport(previous.source);
+}
+
+// Revert a farm to its configured sources and free the imported rows
+export function clearFarmImport(farmId) {
+    const { [farmId]: removed, ...rest } = imports;
+    update(rest);
+    Object.values(removed || {}).forEach(entry => releaseImport(entry.source));
+}
+
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Hook exposing a farm's active imports ({ telemetry?, imu? }), or null.
+ * @param {string} farmId
+ */
+export function useFarmImport(farmId) {
+    return useSyncExternalStore(subscribe, () => imports[farmId] || null);
+}
@@ -0,0 +1,186 @@
+import { useCallback, useSyncExternalStore } from 'react';
+
+export const BACKENDS = ['auto', 'webgpu', 'webgl', 'wasm'];
+
+const SETTINGS_KEY = 'sdash.inference';
+const DEFAULT_SETTINGS = { backend: 'auto', numThreads: 0 }; // 0 = let ort pick the thread count
+
+function loadSettings() {
+    try {
+        return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+    } catch {
+        return DEFAULT_SETTINGS;
+    }
+}
+
+// One worker for the whole app; sessions are cached inside it per model.
+// pending: id -> { resolve, reject, build? }; build() re-creates a request's message so it can be
+// posted again to a restarted worker (transferred buffers are detached after the first post).
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+// Diagnostics store: current settings, detected capabilities and per-model latency
+let diagnostics = { settings: loadSettings(), capabilities: null, models: {} };
+const listeners = new Set();
+
+function updateDiagnostics(patch) {
+    diagnostics = { ...diagnostics, ...patch };
+    listeners.forEach(listener => listener());
+}
+
+function recordTiming(model, timing) {
+    const prev = diagnostics.models[model];
+    const runs = (prev?.runs || 0) + 1;
+    const totalMs = (prev?.totalMs || 0) + timing.runMs;
+
+    updateDiagnostics({
+        models: {
+            ...diagnostics.models,
+            [model]: {
+                backend: timing.backend,
+                loadMs: timing.loadMs,
+                lastMs: timing.runMs,
+                maxMs: Math.max(prev?.maxMs || 0, timing.runMs),
+                avgMs: totalMs / runs,
+                msPerWindow: timing.runMs / Math.max(1, timing.batchSize),
+                batchSize: timing.batchSize,
+                runs,
+                totalMs
+            }
+        }
+    });
+}
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('../workers/inferenceWorker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = (event) => {
+            const { id, error, ...result } = event.data;
+            const request = pending.get(id);
+            if (!request) return;
+            pending.delete(id);
+
+            if (error) request.reject(new Error(error));
+            else request.resolve(result);
+        };
+
+        worker.onerror = (event) => {
+            // Fail everything in flight; the next request reuses the same worker
+            pending.forEach(request => request.reject(new Error(event.message || 'Inference worker crashed')));
+            pending.clear();
+        };
+
+        // Queued ahead of any run, so every session is created with the chosen backend
+        const id = nextId++;
+        pending.set(id, {
+            resolve: ({ capabilities }) => updateDiagnostics({ capabilities }),
+            reject: e => console.error("Inference configure failed:", e)
+        });
+        worker.postMessage({ id, type: 'configure', ...diagnostics.settings });
+    }
+    return worker;
+}
+
+function post(id, build) {
+    const { message, transfer = [] } = build();
+    getWorker().postMessage({ id, ...message }, transfer);
+}
+
+// build: () => { message, transfer? }
+function request(build) {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject, build });
+        post(id, build);
+    });
+}
+
+/**
+ * Run a batch of windows through a model in the inference worker.
+ * @param {string} model - Path under public/models/, e.g. 'posture/cow_behavior_model.onnx'.
+ * @param {Array} windows - Flat feature windows (Array or Float32Array), each of size prod(windowShape).
+ * @param {Array<number>} windowShape - Shape of one window, e.g. [12] or [60, 2]. Defaults to [window length].
+ * @returns {Promise<{predictions: Array, probabilities: Array|null}>}
+ */
+export function runModel(model, windows, windowShape) {
+    if (!windows.length) return Promise.resolve({ predictions: [], probabilities: [] });
+
+    const shape = windowShape || [windows[0].length];
+    const size = shape.reduce((a, b) => a * b, 1);
+
+    // Pack into a single tensor buffer and transfer it (no copy)
+    const build = () => {
+        const data = new Float32Array(windows.length * size);
+        windows.forEach((w, i) => data.set(w, i * size));
+        return { message: { type: 'run', model, data, dims: [windows.length, ...shape] }, transfer: [data.buffer] };
+    };
+
+    return request(build)
+        .then(result => {
+            if (result.timing) recordTiming(model, result.timing);
+            return result;
+        });
+}
+
+/**
+ * Load a model in the worker and report its signature.
+ * @param {string} model - Path under public/models/.
+ * @returns {Promise<{inputNames: Array, outputNames: Array, inputShapes: Array}>}
+ */
+export function describeModel(model) {
+    return request(() => ({ message: { type: 'describe', model } }));
+}
+
+/**
+ * Change the execution backend / thread count. ort can't switch providers or threads
+ * once initialized, so the worker is restarted and sessions reload on the next run.
+ * Runs still in flight are posted again to the new worker; callers see no difference.
+ * @param {{backend?: string, numThreads?: number}} next
+ */
+export function setInferenceSettings(next) {
+    const settings = { ...diagnostics.settings, ...next };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+
+    const requeue = [];
+    if (worker) {
+        worker.terminate();
+        worker = null;
+        pending.forEach((request, id) => {
+            if (request.build) requeue.push([id, request]);
+        });
+        pending.clear(); // Drops the old worker's configure
+    }
+
+    updateDiagnostics({ settings, models: {} });
+    getWorker(); // Re-detect capabilities straight away for the diagnostics panel
+
+    // After the new worker's configure, so they run on the chosen backend
+    requeue.forEach(([id, request]) => {
+        pending.set(id, request);
+        post(id, request.build);
+    });
+}
+
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Hook exposing inference settings, backend capabilities and per-model latency.
+ * @returns {{settings: Object, capabilities: Object|null, models: Object}}
+ */
+export function useInferenceDiagnostics() {
+    return useSyncExternalStore(subscribe, () => diagnostics);
+}
+
+/**
+ * Hook exposing the shared ONNX inference worker to views.
+ * Usage: const { runBatch } = useInference(); runBatch(model, windows, shape).then(...)
+ */
+export function useInference() {
+    const runBatch = useCallback((model, windows, windowShape) => runModel(model, windows, windowShape), []);
+    return { runBatch };
+}
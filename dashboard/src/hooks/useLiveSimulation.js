@@ -1,155 +1,145 @@
-import { useState, useEffect, useRef, useMemo } from 'react';
+import { useMemo, useCallback } from 'react';
+import { useSimulationClock } from './useSimulationClock';
+import { useNoiseSettings } from './useNoiseProfile';
+import { NOISE_PROFILES } from '../config/noiseProfiles';
+import { applySensorNoise } from '../utils/sensorNoise';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// First index with times[i] > t (times sorted ascending)
+export function upperBound(times, t) {
+    let lo = 0;
+    let hi = times.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (times[mid] <= t) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// First index with times[i] >= t
+export function lowerBound(times, t) {
+    let lo = 0;
+    let hi = times.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (times[mid] < t) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+const NO_ROWS = [];
+
+// Visible prefix of a sorted row list: a new array per cursor position. In LIVE mode the newest
+// row is a noisy clone; the source rows are never mutated.
+function visibleRows(source, count, time, noise) {
+    if (count === 0) return NO_ROWS;
+    const rows = source.slice(0, count);
+    if (noise) rows[count - 1] = applySensorNoise(source[count - 1], time, NOISE_PROFILES[noise.profile], noise.seed);
+    return rows;
+}
+
+// Clock time mapped onto a dataset. Datasets overlapping the clock range use it as is (times
+// outside the data are gaps); unrelated ones (e.g. the legacy posture file) are aligned by time of day.
+function datasetTime(index, clockTime, rangeStart, rangeEnd) {
+    const t = clockTime.getTime();
+    if (t >= index.start && t <= index.end) return t;
+    if (rangeStart !== null && index.start <= rangeEnd && index.end >= rangeStart) return t;
+
+    // Align onto the dataset's last day
+    const target = new Date(index.end);
+    target.setHours(clockTime.getHours(), clockTime.getMinutes(), clockTime.getSeconds());
+
+    let now = target.getTime();
+    if (now > index.end) now -= DAY_MS;
+    if (now < index.start) now += DAY_MS;
+    return now;
+}
 
 /**
- * Hook to simulate live data streaming.
- * @param {Array} inputData - The source dataset (assumed ~24h).
- * @param {boolean} isLive - If true, syncs to wall-clock time.
- * @param {number} replaySpeed - Multiplier for replay mode (e.g. 60 = 1h/sec).
- * @param {number} historyHours - 24 or 48. If 48, duplicates data to simulate previous day.
+ * Slice a dataset to the shared simulation clock (see useSimulationClock).
+ * Timestamps are parsed once and rows indexed per cow; each tick is a binary search, and the
+ * visible rows only change when the clock crosses a new sample (not on every 100 ms tick). liveData
+ * and the arrays from getCowRows are new arrays each time they change and never mutated after.
+ * @param {Array} inputData - The source dataset, any span (farm data from useCowData already has
+ * the farm's scenarios applied). Stretches of the clock range without rows stay empty and are
+ * flagged in gaps / inGap. In LIVE mode the newest row gets seeded sensor noise from the active
+ * noise profile (useNoiseSettings), unless the data is a real-time feed.
+ * @returns {{liveData: Array, currentTime: Date|null, progress: number, resetSimulation: Function,
+ *   getCowRows: (cowId: string, fromMs?: number) => Array, gaps: Array, inGap: boolean}}
  */
-export function useLiveSimulation(inputData, isLive = false, replaySpeed = 60, historyHours = 24) {
-    const [currentData, setCurrentData] = useState([]);
-    const [currentTime, setCurrentTime] = useState(null);
-    const [progress, setProgress] = useState(0);
-
-    const timeRef = useRef(null);
-    const startTimeRef = useRef(null);
-    const endTimeRef = useRef(null);
-
-    // 1. Prepare Data (Handle 48h extension)
-    const fullData = useMemo(() => {
-        if (!inputData || inputData.length === 0) return [];
-
-        // Sort original
-        const sorted = [...inputData].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-        if (historyHours <= 24) return sorted;
-
-        // Create 48h version: Duplicate data shifted back 24h
-        const shifted = sorted.map(d => ({
-            ...d,
-            timestamp: new Date(new Date(d.timestamp).getTime() - 24 * 60 * 60 * 1000).toISOString()
-        }));
-
-        return [...shifted, ...sorted];
-    }, [inputData, historyHours]);
-
-    // 2. Initialize Range
-    useEffect(() => {
-        if (fullData.length > 0) {
-            const timestamps = fullData.map(d => new Date(d.timestamp).getTime());
-            startTimeRef.current = Math.min(...timestamps);
-            endTimeRef.current = Math.max(...timestamps);
-
-            // Initial time set
-            if (!timeRef.current) {
-                timeRef.current = startTimeRef.current;
-            }
-        }
-    }, [fullData]);
-
-    // 3. Timer Loop
-    useEffect(() => {
-        if (!fullData.length || !startTimeRef.current || !endTimeRef.current) return;
-
-        const intervalMs = 100; // Tick rate
-
-        const timer = setInterval(() => {
-            let now = timeRef.current;
-
-            if (isLive) {
-                // --- LIVE MODE: Sync to Wall Clock ---
-                // Map current real time (HH:MM:SS) to the dataset's last day
-                const realNow = new Date();
-                const datasetBaseDate = new Date(endTimeRef.current); // Assume end of data is "today"
-
-                // Set target time to dataset's date but real time's hours/mins
-                const targetTime = new Date(datasetBaseDate);
-                targetTime.setHours(realNow.getHours(), realNow.getMinutes(), realNow.getSeconds());
-
-                // If target is beyond end, wrap to start (or just clamp)
-                // Actually, if dataset is 08:00 to 08:00, and it's 09:00 real time, we want 09:00 on the dataset.
-                // Let's just use the timestamp directly if we assume dataset covers the day.
-
-                // Better approach for this specific dataset (Nov 30 - Dec 1):
-                // Just take the progress of the current day.
-                now = targetTime.getTime();
-
-                // If "now" is outside range (e.g. dataset ends at 8am, real time is 5pm), 
-                // we might need to wrap to the previous day in the dataset.
-                if (now > endTimeRef.current) now -= 24 * 60 * 60 * 1000;
-                if (now < startTimeRef.current) now += 24 * 60 * 60 * 1000;
-
-                timeRef.current = now;
-
-            } else {
-                // --- REPLAY MODE: Fast Forward ---
-                const msPerTick = (replaySpeed / 10) * 60 * 1000; // speed * 100ms
-                now += msPerTick;
-
-                // Loop
-                if (now >= endTimeRef.current) {
-                    now = startTimeRef.current;
-                }
-                timeRef.current = now;
-            }
-
-            setCurrentTime(new Date(now));
-
-            // Progress
-            const total = endTimeRef.current - startTimeRef.current;
-            const elapsed = now - startTimeRef.current;
-            setProgress(Math.min(100, Math.max(0, (elapsed / total) * 100)));
-
-            // Slice Data
-            // Performance: For 48h data (~5k points), filter is okay.
-            let sliced = fullData.filter(d => new Date(d.timestamp).getTime() <= now);
-
-            // Add Sensor Noise (Live Mode Only)
-            if (isLive && sliced.length > 0) {
-                // Clone the last point to avoid mutating original data
-                const lastPoint = { ...sliced[sliced.length - 1] };
-
-                // Add tiny random noise (+/- 0.5%)
-                const noise = () => (Math.random() - 0.5) * 0.01;
-
-                lastPoint.pct_lying = Math.max(0, Math.min(1, lastPoint.pct_lying + noise()));
-                lastPoint.pct_standing = Math.max(0, Math.min(1, lastPoint.pct_standing + noise()));
-                lastPoint.pct_walking = Math.max(0, Math.min(1, lastPoint.pct_walking + noise()));
-                lastPoint.pct_eating = Math.max(0, Math.min(1, lastPoint.pct_eating + noise()));
-
-                // Add noise to Health Metrics
-                if (lastPoint.neck_temp_c) lastPoint.neck_temp_c += (Math.random() - 0.5) * 0.1; // +/- 0.05 C
-                if (lastPoint.activity_index) lastPoint.activity_index += (Math.random() - 0.5) * 2; // +/- 1 unit
-
-                // Add noise to Environment/GPS
-                if (lastPoint.heat_index) lastPoint.heat_index += (Math.random() - 0.5) * 0.5;
-                if (lastPoint.gps_lat) lastPoint.gps_lat += (Math.random() - 0.5) * 0.0001; // Tiny jitter
-                if (lastPoint.gps_long) lastPoint.gps_long += (Math.random() - 0.5) * 0.0001;
-
-                // Replace last point in the slice
-                sliced = [...sliced.slice(0, -1), lastPoint];
-            }
-
-            setCurrentData(sliced);
-
-        }, intervalMs);
-
-        return () => clearInterval(timer);
-    }, [fullData, isLive, replaySpeed]);
-
-    const resetSimulation = () => {
-        if (startTimeRef.current) {
-            timeRef.current = startTimeRef.current;
-            setCurrentTime(new Date(startTimeRef.current));
-            setCurrentData([]); // Clear data visually to look "new"
-        }
-    };
+export function useLiveSimulation(inputData) {
+    const { mode, realtime, currentTime: clockTime, rangeStart, rangeEnd, gaps, inGap, reset } = useSimulationClock();
+    const isLive = mode === 'LIVE';
+    const noiseSettings = useNoiseSettings();
+    const noise = isLive && !realtime ? noiseSettings : null; // Real feeds (MQTT, gateway) have their own noise
+
+    // 1. Index: rows sorted by parsed time, plus per-cow views
+    const index = useMemo(() => {
+        if (!inputData || inputData.length === 0) return null;
+
+        const entries = inputData.map(d => ({ t: new Date(d.timestamp).getTime(), d })).sort((a, b) => a.t - b.t);
+
+        const rows = entries.map(e => e.d);
+        const times = Float64Array.from(entries, e => e.t);
+
+        const byCow = new Map();
+        entries.forEach(({ t, d }) => {
+            const key = String(d.cow_id);
+            if (!byCow.has(key)) byCow.set(key, { rows: [], times: [] });
+            const cow = byCow.get(key);
+            cow.rows.push(d);
+            cow.times.push(t);
+        });
+
+        return { rows, times, byCow, start: times[0], end: times[times.length - 1] };
+    }, [inputData]);
+
+    // 2. Clock time on this dataset's timeline
+    const now = index && clockTime ? datasetTime(index, clockTime, rangeStart, rangeEnd) : null;
+
+    // 3. Cursor: rows [0, cursor) are visible. Only changes when a sample is crossed.
+    const { cursor, cutoff } = useMemo(() => {
+        const visible = now !== null ? upperBound(index.times, now) : 0;
+        return { cursor: visible, cutoff: visible > 0 ? index.times[visible - 1] : -Infinity };
+    }, [index, now]);
+
+    // 4. Visible rows, recomputed only when the cursor (or the noise) changes
+    const liveData = useMemo(
+        () => (index ? visibleRows(index.rows, cursor, cutoff, noise) : NO_ROWS),
+        [index, cursor, cutoff, noise]
+    );
+
+    const cowRows = useMemo(() => {
+        const byCow = new Map();
+        if (index) index.byCow.forEach((cow, key) => {
+            byCow.set(key, visibleRows(cow.rows, upperBound(cow.times, cutoff), cutoff, noise));
+        });
+        return byCow;
+    }, [index, cutoff, noise]);
+
+    const getCowRows = useCallback((cowId, fromMs) => {
+        const key = String(cowId);
+        const rows = cowRows.get(key);
+        if (!rows || !rows.length) return NO_ROWS;
+
+        // Optional trailing window (e.g. GPS trail)
+        return fromMs === undefined ? rows : rows.slice(lowerBound(index.byCow.get(key).times, fromMs));
+    }, [index, cowRows]);
+
+    const progress = index && now !== null
+        ? Math.min(100, Math.max(0, ((now - index.start) / (index.end - index.start || 1)) * 100))
+        : 0;
 
     return {
-        liveData: currentData,
-        currentTime,
+        liveData,
+        currentTime: now === null ? null : new Date(now),
         progress,
-        resetSimulation
+        resetSimulation: reset,
+        getCowRows,
+        gaps,
+        inGap
     };
 }
@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react';
+import { describeModel } from './useInference';
+
+const MANIFEST_PATH = import.meta.env.BASE_URL + 'models/manifest.json';
+
+// Share of windows outside a column's training range before checkFeatureRanges reports it
+const OUT_OF_RANGE_SHARE = 0.5;
+
+// Compare a loaded session against its manifest entry. Returns a list of human-readable issues.
+export function validateModel(entry, signature) {
+    const issues = [];
+    const [inputName] = signature.inputNames;
+    const inputShape = signature.inputShapes[0];
+
+    if (inputName !== entry.input.name) {
+        issues.push(`Input name is '${inputName}', manifest expects '${entry.input.name}'`);
+    }
+
+    if (inputShape) {
+        const expected = entry.input.shape;
+        const dimsMatch = inputShape.length === expected.length &&
+            expected.every((dim, i) => dim === -1 || inputShape[i] === -1 || dim === inputShape[i]);
+        if (!dimsMatch) {
+            issues.push(`Input shape is [${inputShape.join(', ')}], manifest expects [${expected.join(', ')}]`);
+        }
+    }
+
+    const { columns, scaler } = entry.features || {};
+    if (scaler && (scaler.mean.length !== columns.length || scaler.std.length !== columns.length)) {
+        issues.push(`Scaler has ${scaler.mean.length} means / ${scaler.std.length} stds for ${columns.length} columns`);
+    }
+    const { trainingRanges } = entry.features || {};
+    if (trainingRanges && trainingRanges.length !== columns.length) {
+        issues.push(`trainingRanges has ${trainingRanges.length} entries for ${columns.length} columns`);
+    }
+
+    entry.outputs.forEach(name => {
+        if (!signature.outputNames.includes(name)) issues.push(`Missing output '${name}'`);
+    });
+    signature.outputNames.forEach(name => {
+        if (!entry.outputs.includes(name)) issues.push(`Unexpected output '${name}'`);
+    });
+
+    return issues;
+}
+
+// Compare feature windows built for a model against its manifest trainingRanges ([min, max] per
+// column; for tree models, the span of their split thresholds). Returns one human-readable issue
+// per column that most windows fall outside of: the model can't tell those windows apart.
+export function checkFeatureRanges(entry, windows) {
+    const { columns, trainingRanges } = entry?.features || {};
+    if (!trainingRanges || !windows.length) return [];
+
+    const issues = [];
+    trainingRanges.forEach(([min, max], k) => {
+        const outside = windows.filter(w => !(w[k] >= min && w[k] <= max)).length / windows.length;
+        if (outside > OUT_OF_RANGE_SHARE) {
+            issues.push(`${columns[k]}: ${Math.round(outside * 100)}% of windows outside the trained range [${min}, ${max}]`);
+        }
+    });
+    return issues;
+}
+
+// Load the manifest and validate every model once per page load
+let registryPromise = null;
+
+function loadRegistry() {
+    if (!registryPromise) {
+        registryPromise = fetch(MANIFEST_PATH)
+            .then(res => {
+                if (!res.ok) throw new Error(`Model manifest not found (${res.status})`);
+                return res.json();
+            })
+            .then(manifest => Promise.all(manifest.models.map(entry =>
+                describeModel(entry.path)
+                    .then(signature => {
+                        const issues = validateModel(entry, signature);
+                        return { ...entry, status: issues.length ? 'mismatch' : 'ok', issues };
+                    })
+                    .catch(e => ({ ...entry, status: 'error', issues: [`Failed to load: ${e.message}`] }))
+            )));
+    }
+    return registryPromise;
+}
+
+/**
+ * Hook exposing the validated model registry (public/models/manifest.json).
+ * Each model carries status ('ok' | 'mismatch' | 'error') and its issues, plus the manifest's
+ * optional caveat (how far its output can be trusted), which views show next to that output.
+ */
+export function useModelRegistry() {
+    const [models, setModels] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        loadRegistry()
+            .then(result => {
+                if (cancelled) return;
+                setModels(result);
+                setLoading(false);
+            })
+            .catch(e => {
+                registryPromise = null; // Retry on next mount
+                if (cancelled) return;
+                setError(e);
+                setLoading(false);
+            });
+
+        return () => { cancelled = true; };
+    }, []);
+
+    const getModel = (id) => models.find(m => m.id === id);
+    const issues = models.filter(m => m.issues.length > 0);
+
+    return { models, issues, getModel, loading, error };
+}
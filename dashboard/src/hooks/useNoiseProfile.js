@@ -0,0 +1,40 @@
+import { useSyncExternalStore } from 'react';
+import { NOISE_PROFILES, DEFAULT_NOISE } from '../config/noiseProfiles';
+
+const SETTINGS_KEY = 'sdash.noise';
+
+function loadSettings() {
+    try {
+        const settings = { ...DEFAULT_NOISE, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+        return NOISE_PROFILES[settings.profile] ? settings : DEFAULT_NOISE;
+    } catch {
+        return DEFAULT_NOISE;
+    }
+}
+
+// Active LIVE noise profile + seed, shared by every view
+let settings = loadSettings();
+const listeners = new Set();
+
+/**
+ * Switch the LIVE sensor-noise profile and/or seed (persisted).
+ * @param {{profile?: string, seed?: number}} next
+ */
+export function setNoiseSettings(next) {
+    settings = { ...settings, ...next };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    listeners.forEach(listener => listener());
+}
+
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Hook exposing the noise settings.
+ * @returns {{profile: string, seed: number}}
+ */
+export function useNoiseSettings() {
+    return useSyncExternalStore(subscribe, () => settings);
+}
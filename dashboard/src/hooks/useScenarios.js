@@ -0,0 +1,54 @@
+import { useSyncExternalStore } from 'react';
+
+const SETTINGS_KEY = 'sdash.scenarios';
+const NONE = [];
+
+function loadScenarios() {
+    try {
+        return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+// Injected scenarios per farm id (see utils/scenarioInjection.js)
+let scenarios = loadScenarios();
+let nextId = Math.max(0, ...Object.values(scenarios).flat().map(s => s.id)) + 1;
+const listeners = new Set();
+
+function update(farmId, list) {
+    scenarios = { ...scenarios, [farmId]: list };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(scenarios));
+    listeners.forEach(listener => listener());
+}
+
+/**
+ * Script a scenario on a farm.
+ * @param {string} farmId
+ * @param {{type: string, cowId: string, at: string}} scenario
+ */
+export function addScenario(farmId, scenario) {
+    update(farmId, [...(scenarios[farmId] || []), { ...scenario, id: nextId++ }]);
+}
+
+export function removeScenario(farmId, id) {
+    update(farmId, (scenarios[farmId] || []).filter(s => s.id !== id));
+}
+
+export function clearScenarios(farmId) {
+    update(farmId, []);
+}
+
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Hook exposing the scenarios scripted on a farm.
+ * @param {string} farmId
+ * @returns {Array<{id: number, type: string, cowId: string, at: string}>}
+ */
+export function useScenarios(farmId) {
+    return useSyncExternalStore(subscribe, () => scenarios[farmId] || NONE);
+}
@@ -0,0 +1,61 @@
+import { useSyncExternalStore } from 'react';
+
+// Offline install: registers sw.js (src/workers/serviceWorker.js, built by vite.config.js) in
+// production builds and tracks whether a new app or model version is waiting to be applied.
+let state = { updateAvailable: false };
+let registration = null;
+const listeners = new Set();
+
+function setState(patch) {
+    state = { ...state, ...patch };
+    listeners.forEach(listener => listener());
+}
+
+function watchInstall(reg) {
+    const worker = reg.installing;
+    worker?.addEventListener('statechange', () => {
+        // With no controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) setState({ updateAvailable: true });
+    });
+}
+
+export function registerServiceWorker() {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register(import.meta.env.BASE_URL + 'sw.js')
+        .then(reg => {
+            registration = reg;
+            if (reg.waiting && navigator.serviceWorker.controller) setState({ updateAvailable: true });
+            reg.addEventListener('updatefound', () => watchInstall(reg));
+
+            // Back in range of the barn Wi-Fi: look for a new version
+            window.addEventListener('online', () => {
+                reg.update().catch(e => console.error("Service worker update check failed:", e));
+            });
+        })
+        .catch(e => console.error("Service worker registration failed:", e));
+}
+
+// Switch to the waiting version and reload onto it
+export function applyUpdate() {
+    if (!registration?.waiting) return window.location.reload();
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+}
+
+export function dismissUpdate() {
+    setState({ updateAvailable: false });
+}
+
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Hook exposing the service worker update state.
+ * @returns {{updateAvailable: boolean}}
+ */
+export function useServiceWorker() {
+    return useSyncExternalStore(subscribe, () => state);
+}
@@ -0,0 +1,188 @@
+import { createContext, useContext, useSyncExternalStore } from 'react';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * App-wide simulation clock. One instance lives in SimulationClockProvider and is driven by a
+ * single timer; every view reads the same time, mode and speed.
+ *
+ * mode:         'LIVE' follows the wall clock (time of day mapped onto the dataset's last day),
+ *               'REPLAY' fast-forwards from the start of the range and loops.
+ * realtime:     the farm's source is a live feed (REALTIME_SOURCES in data/sources.js): LIVE is the
+ *               wall clock itself.
+ * replaySpeed:  REPLAY rate as a multiple of real time (1x - 1000x).
+ * historyHours: replay window ending at the last sample (24h, 48h, 7d, 30d, ...).
+ * customRange:  { start, end } (epoch ms) overriding historyHours.
+ * sampleMs:     dataset sampling interval, the unit for step().
+ * dataGaps:     [start, end] spans inside the dataset with no samples.
+ *
+ * Parts of the range without data are reported by getGaps(), never synthesized.
+ */
+export const REPLAY_SPEEDS = [1, 10, 60, 100, 300, 600, 1000];
+
+export const HISTORY_RANGES = [
+    { hours: 24, label: '24H' },
+    { hours: 48, label: '48H' },
+    { hours: 7 * 24, label: '7D' },
+    { hours: 30 * 24, label: '30D' }
+];
+
+export function createSimulationClock() {
+    let state = {
+        mode: 'LIVE',
+        replaySpeed: 600,
+        historyHours: 24,
+        customRange: null,
+        playing: true,
+        time: null,
+        dataStart: null,
+        dataEnd: null,
+        sampleMs: 60 * 1000,
+        dataGaps: [],
+        realtime: false
+    };
+    const listeners = new Set();
+
+    const setState = (patch) => {
+        state = { ...state, ...patch };
+        listeners.forEach(listener => listener());
+    };
+
+    const rangeStart = () => (state.customRange ? state.customRange.start : state.dataEnd - state.historyHours * HOUR_MS);
+    const rangeEnd = () => (state.customRange ? state.customRange.end : state.dataEnd);
+
+    const clamp = (time) => Math.min(rangeEnd(), Math.max(rangeStart(), time));
+
+    // Spans of the current range without data: before the first / after the last sample, and
+    // inside the dataset. Gaps up to two samples long are ordinary jitter and ignored.
+    const gaps = () => {
+        const start = rangeStart();
+        const end = rangeEnd();
+        const minGap = 2 * state.sampleMs;
+
+        return [
+            [start, state.dataStart],
+            ...state.dataGaps,
+            [state.dataEnd, end]
+        ]
+            .map(([a, b]) => [Math.max(a, start), Math.min(b, end)])
+            .filter(([a, b]) => b - a > minGap);
+    };
+
+    // Wall clock time of day on the dataset's last day, wrapped back into the data
+    const liveTime = () => {
+        if (state.realtime) return Date.now();
+        const target = new Date(state.dataEnd);
+        const realNow = new Date();
+        target.setHours(realNow.getHours(), realNow.getMinutes(), realNow.getSeconds());
+
+        let now = target.getTime();
+        if (now > state.dataEnd) now -= DAY_MS;
+        if (now < state.dataStart) now += DAY_MS;
+        return now;
+    };
+
+    const ready = () => state.dataStart !== null;
+
+    return {
+        getSnapshot: () => state,
+        rangeStart: () => (ready() ? rangeStart() : null),
+        rangeEnd: () => (ready() ? rangeEnd() : null),
+        getGaps: () => (ready() ? gaps() : []),
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        // Dataset bounds (epoch ms), sampling interval, internal gaps and feed type of the active farm
+        setRange: (dataStart, dataEnd, sampleMs = state.sampleMs, dataGaps = [], realtime = false) => {
+            const time = state.time === null ? dataStart : state.time;
+            state = { ...state, dataStart, dataEnd, sampleMs, dataGaps, realtime };
+            setState({ time: clamp(time) });
+        },
+
+        // Advance by one timer tick of tickMs real time
+        tick: (tickMs) => {
+            if (!state.playing || !ready()) return;
+
+            if (state.mode === 'LIVE') {
+                setState({ time: liveTime() });
+                return;
+            }
+
+            let time = state.time + state.replaySpeed * tickMs;
+            if (time >= rangeEnd()) time = rangeStart(); // Loop
+            setState({ time });
+        },
+
+        play: () => setState({ playing: true }),
+        pause: () => setState({ playing: false }),
+
+        // Jump to an absolute time; leaves LIVE since the wall clock can't be scrubbed
+        seek: (time) => {
+            if (!ready()) return;
+            setState({ mode: 'REPLAY', time: clamp(time) });
+        },
+
+        // Pause and move n samples (negative = back), snapped to the sample grid
+        step: (n) => {
+            if (!ready()) return;
+            const origin = rangeStart();
+            const index = Math.round((state.time - origin) / state.sampleMs) + n;
+            setState({ mode: 'REPLAY', playing: false, time: clamp(origin + index * state.sampleMs) });
+        },
+
+        setMode: (mode) => setState({ mode, playing: true }),
+        setReplaySpeed: (replaySpeed) => setState({ replaySpeed }),
+        setHistoryHours: (historyHours) => {
+            state = { ...state, historyHours, customRange: null };
+            setState({ time: ready() ? clamp(state.time) : state.time });
+        },
+
+        // Replay an arbitrary window (epoch ms)
+        setCustomRange: (start, end) => {
+            if (!(end > start)) return;
+            setState({ customRange: { start, end }, mode: 'REPLAY', time: start });
+        },
+
+        // Back to the start of the range
+        reset: () => {
+            if (ready()) setState({ time: rangeStart() });
+        }
+    };
+}
+
+export const SimulationClockContext = createContext(null);
+
+/**
+ * Hook exposing the shared simulation clock.
+ * @returns {{mode: string, replaySpeed: number, historyHours: number, customRange: Object|null,
+ *   playing: boolean, sampleMs: number, realtime: boolean, currentTime: Date|null,
+ *   rangeStart: number|null, rangeEnd: number|null, gaps: Array, inGap: boolean,
+ *   play: Function, pause: Function, seek: Function, step: Function, reset: Function,
+ *   setMode: Function, setReplaySpeed: Function, setHistoryHours: Function, setCustomRange: Function}}
+ */
+export function useSimulationClock() {
+    const clock = useContext(SimulationClockContext);
+    const state = useSyncExternalStore(clock.subscribe, clock.getSnapshot);
+
+    const gaps = clock.getGaps();
+    return {
+        ...state,
+        currentTime: state.time === null ? null : new Date(state.time),
+        rangeStart: clock.rangeStart(),
+        rangeEnd: clock.rangeEnd(),
+        gaps,
+        inGap: state.time !== null && gaps.some(([a, b]) => state.time >= a && state.time < b),
+        play: clock.play,
+        pause: clock.pause,
+        seek: clock.seek,
+        step: clock.step,
+        reset: clock.reset,
+        setMode: clock.setMode,
+        setReplaySpeed: clock.setReplaySpeed,
+        setHistoryHours: clock.setHistoryHours,
+        setCustomRange: clock.setCustomRange
+    };
+}
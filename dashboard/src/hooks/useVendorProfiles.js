@@ -0,0 +1,43 @@
+import { useSyncExternalStore } from 'react';
+
+const SETTINGS_KEY = 'sdash.vendorProfiles';
+
+function loadProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+// Saved import column mappings by vendor name (see data/importMapping.js)
+let profiles = loadProfiles();
+const listeners = new Set();
+
+function update(next) {
+    profiles = next;
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(profiles));
+    listeners.forEach(listener => listener());
+}
+
+export function saveVendorProfile(name, mapping) {
+    update({ ...profiles, [name]: mapping });
+}
+
+export function deleteVendorProfile(name) {
+    const { [name]: _removed, ...rest } = profiles;
+    update(rest);
+}
+
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Hook exposing saved vendor profiles.
+ * @returns {Object<string, Object>} vendor name -> mapping
+ */
+export function useVendorProfiles() {
+    return useSyncExternalStore(subscribe, () => profiles);
+}
@@ -1,8 +1,11 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { registerServiceWorker } from './hooks/useServiceWorker'
 import './index.css'
 
+registerServiceWorker()
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <App />
 )
@@ -1,19 +1,26 @@
 import React, { useState, useMemo } from 'react';
 import { useCowData } from '../../hooks/useCowData';
 import { useLiveSimulation } from '../../hooks/useLiveSimulation';
+import { useSimulationClock } from '../../hooks/useSimulationClock';
+import { useFarm } from '../../hooks/useFarm';
+import { useInference } from '../../hooks/useInference';
+import { useModelRegistry } from '../../hooks/useModelRegistry';
+import { format } from 'date-fns';
+import { buildRuminationWindows, toMinuteLabels, isConstantOutput, dailyRuminationMinutes, ruminationBaseline } from './ruminationLogic';
 import {
     Chart as ChartJS,
     CategoryScale,
     LinearScale,
     PointElement,
     LineElement,
+    BarElement,
     Title,
     Tooltip,
     Legend,
     Filler,
     TimeScale
 } from 'chart.js';
-import { Line } from 'react-chartjs-2';
+import { Line, Bar } from 'react-chartjs-2';
 import 'chartjs-adapter-date-fns';
 
 ChartJS.register(
@@ -21,6 +28,7 @@ ChartJS.register(
     LinearScale,
     PointElement,
     LineElement,
+    BarElement,
     Title,
     Tooltip,
     Legend,
@@ -30,17 +38,56 @@ ChartJS.register(
 
 export default function BehaviorView({ selectedCow, onSelectCow }) {
     const { data, cows, loading } = useCowData();
+    const { thresholds } = useFarm();
 
-    const [mode, setMode] = useState('LIVE'); // 'LIVE' | 'REPLAY'
-    const [historyHours, setHistoryHours] = useState(24);
-    const [replaySpeed, setReplaySpeed] = useState(60); // 1 hour per second
+    const { mode, historyHours, sampleMs, setMode, setHistoryHours, setReplaySpeed } = useSimulationClock(); // Shared app clock
     const [zoomLevel, setZoomLevel] = useState(10 / 60); // Default to 10m for LIVE
 
-    const { liveData, currentTime, resetSimulation } = useLiveSimulation(data, mode === 'LIVE', replaySpeed, historyHours);
+    const { liveData, currentTime, resetSimulation, getCowRows } = useLiveSimulation(data);
 
     // Default to first cow if none selected
     const currentCow = selectedCow || (cows.length > 0 ? cows[0] : 'COW_01');
 
+    // Rumination Model (CNN over rolling sensor windows, one label per minute)
+    const { runBatch } = useInference();
+    const { getModel } = useModelRegistry();
+    const ruminationModel = getModel('rumination_cnn');
+    const [rumination, setRumination] = useState({ labels: [], status: 'running' }); // status: 'running' | 'ready' | 'unusable' | 'error'
+
+    React.useEffect(() => {
+        if (!ruminationModel || ruminationModel.status === 'error' || !data.length) return;
+        let cancelled = false;
+
+        const { columns, windowSize } = ruminationModel.features;
+        const { windows, meta } = buildRuminationWindows(data, ruminationModel.features);
+
+        runBatch(ruminationModel.path, windows, [windowSize, columns.length])
+            .then(({ predictions }) => {
+                if (cancelled) return;
+                setRumination(isConstantOutput(predictions)
+                    ? { labels: [], status: 'unusable' }
+                    : { labels: toMinuteLabels(meta, predictions), status: 'ready' });
+            })
+            .catch(e => {
+                console.error("Rumination model failed:", e);
+                if (!cancelled) setRumination({ labels: [], status: 'error' });
+            });
+
+        return () => { cancelled = true; };
+    }, [data, ruminationModel, runBatch]);
+
+    // One label per data sample (every minute from the collars and in the demo files)
+    const minutesPerLabel = sampleMs / 60000;
+
+    // Daily totals only up to the clock; the baseline is the days before the clock's (partial) day
+    const clockMs = currentTime ? currentTime.getTime() : Infinity;
+    const today = currentTime ? format(currentTime, 'yyyy-MM-dd') : null;
+    const ruminationDaily = useMemo(
+        () => dailyRuminationMinutes(rumination.labels, minutesPerLabel, clockMs),
+        [rumination.labels, minutesPerLabel, clockMs]
+    );
+    const ruminationBaselines = useMemo(() => ruminationBaseline(ruminationDaily, today), [ruminationDaily, today]);
+
     // Update parent when cows load if needed
     React.useEffect(() => {
         if (!selectedCow && cows.length > 0) {
@@ -53,16 +100,14 @@ export default function BehaviorView({ selectedCow, onSelectCow }) {
         if (mode === 'LIVE') {
             setZoomLevel(10 / 60); // Default to 10m zoom for Live
         } else {
-            setZoomLevel(historyHours === 48 ? 48 : 12);
+            setZoomLevel(historyHours > 24 ? historyHours : 12);
         }
     }, [mode, historyHours]);
 
     const chartData = useMemo(() => {
         if (!liveData || !liveData.length) return null;
 
-        const cowData = liveData.filter(d => d.cow_id === currentCow);
-        // Sort by timestamp just in case
-        cowData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const cowData = getCowRows(currentCow); // Time-sorted, sliced to the clock
 
         // Pulsation Logic (runs on every data update ~100ms)
         // Oscillates radius between 10px and 15px
@@ -173,7 +218,7 @@ export default function BehaviorView({ selectedCow, onSelectCow }) {
                 }
             ]
         };
-    }, [liveData, currentCow]);
+    }, [liveData, currentCow, getCowRows]);
 
     const options = {
         responsive: true,
@@ -249,6 +294,57 @@ export default function BehaviorView({ selectedCow, onSelectCow }) {
         }
     };
 
+    // Daily Rumination Minutes vs Baseline (current cow)
+    const cowDaily = ruminationDaily[currentCow] || {};
+    const ruminationDays = Object.keys(cowDaily).sort();
+    const cowBaseline = ruminationBaselines[currentCow];
+    const todayMinutes = ruminationDays.length ? cowDaily[ruminationDays[ruminationDays.length - 1]] : null;
+    const isBelowBaseline = todayMinutes !== null && cowBaseline > 0 && todayMinutes < cowBaseline * (1 - thresholds.ruminationDropPct / 100);
+
+    const ruminationChartData = {
+        labels: ruminationDays,
+        datasets: [
+            {
+                type: 'bar',
+                label: 'Rumination (min/day)',
+                data: ruminationDays.map(day => cowDaily[day]),
+                backgroundColor: ruminationDays.map(day => (
+                    cowBaseline > 0 && cowDaily[day] < cowBaseline * 0.8 ? 'rgba(220, 38, 38, 0.6)' : 'rgba(139, 92, 246, 0.6)'
+                )),
+                borderRadius: 4
+            },
+            {
+                type: 'line',
+                label: 'Baseline',
+                data: ruminationDays.map(() => cowBaseline ?? null),
+                borderColor: 'rgb(100, 116, 139)',
+                borderDash: [5, 5],
+                borderWidth: 2,
+                pointRadius: 0
+            }
+        ]
+    };
+
+    const ruminationOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: { duration: 0 },
+        plugins: {
+            legend: { display: false },
+            tooltip: {
+                callbacks: {
+                    label: (ctx) => `${ctx.dataset.label}: ${Math.round(ctx.parsed.y)} min`
+                }
+            }
+        },
+        scales: {
+            y: {
+                beginAtZero: true,
+                title: { display: true, text: 'Minutes' }
+            }
+        }
+    };
+
     if (loading) return <div className="p-10 text-center">Loading Data...</div>;
 
     return (
@@ -299,7 +395,7 @@ export default function BehaviorView({ selectedCow, onSelectCow }) {
                             onClick={() => {
                                 setMode('REPLAY');
                                 setHistoryHours(24);
-                                setReplaySpeed(60);
+                                setReplaySpeed(600);
                                 resetSimulation(); // Force reset to start
                             }}
                             className={`px-3 py-1 text-xs font-bold rounded-md transition-colors ${mode === 'REPLAY' && historyHours === 24 ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:bg-slate-200'}`}
@@ -310,7 +406,7 @@ export default function BehaviorView({ selectedCow, onSelectCow }) {
                             onClick={() => {
                                 setMode('REPLAY');
                                 setHistoryHours(48);
-                                setReplaySpeed(60);
+                                setReplaySpeed(600);
                                 resetSimulation(); // Force reset to start
                             }}
                             className={`px-3 py-1 text-xs font-bold rounded-md transition-colors ${mode === 'REPLAY' && historyHours === 48 ? 'bg-white shadow text-purple-600' : 'text-slate-500 hover:bg-slate-200'}`}
@@ -334,6 +430,37 @@ export default function BehaviorView({ selectedCow, onSelectCow }) {
             <div className="flex-1 bg-white rounded-xl shadow-sm border border-slate-100 p-4 relative">
                 {chartData && <Line options={options} data={chartData} />}
             </div>
+
+            {/* Rumination KPI (model output only) */}
+            <div className="h-40 grid grid-cols-4 gap-4">
+                <div className={`rounded-xl border p-4 flex flex-col justify-center ${isBelowBaseline ? 'bg-red-50 border-red-100' : 'bg-violet-50 border-violet-100'}`}>
+                    <span className="text-[10px] font-bold uppercase tracking-wider text-slate-500">Rumination Today</span>
+                    <span className={`text-2xl font-bold ${isBelowBaseline ? 'text-red-600' : 'text-violet-700'}`}>
+                        {todayMinutes !== null ? `${Math.round(todayMinutes)} min` : '--'}
+                    </span>
+                    <span className="text-[10px] text-slate-500">
+                        Baseline: {cowBaseline !== undefined ? `${Math.round(cowBaseline)} min/day` : '--'}
+                    </span>
+                    {isBelowBaseline && <span className="text-[10px] font-bold text-red-600 mt-1">Below baseline</span>}
+                    {rumination.status === 'unusable' && (
+                        <span className="text-[10px] font-bold text-amber-600 mt-1">Rumination model unusable</span>
+                    )}
+                </div>
+                <div className="col-span-3 bg-white rounded-xl shadow-sm border border-slate-100 p-2 relative">
+                    {ruminationDays.length > 0 ? (
+                        <Bar options={ruminationOptions} data={ruminationChartData} />
+                    ) : rumination.status === 'unusable' ? (
+                        <div className="flex items-center justify-center h-full px-6 text-center text-amber-700 text-sm">
+                            The rumination model ({ruminationModel?.name} v{ruminationModel?.version}) gives every window the same
+                            label on this data, so it can't measure rumination minutes. It needs retraining before this chart is shown.
+                        </div>
+                    ) : (
+                        <div className="flex items-center justify-center h-full text-slate-400 text-sm">
+                            {rumination.status === 'error' ? 'Rumination model failed' : 'Running rumination model...'}
+                        </div>
+                    )}
+                </div>
+            </div>
         </div>
     );
 }
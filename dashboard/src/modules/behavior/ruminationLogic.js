@@ -0,0 +1,62 @@
+import { format } from 'date-fns';
+import { buildSequenceWindows } from '../../utils/sequenceWindows';
+
+// Rolling sensor windows for every cow over the full dataset.
+// Window layout ({ columns, windowSize, scaler }) comes from the model manifest.
+export function buildRuminationWindows(data, features) {
+    const byCow = {};
+    data.forEach(row => {
+        if (!row.cow_id) return;
+        (byCow[row.cow_id] = byCow[row.cow_id] || []).push(row);
+    });
+
+    const windows = [];
+    const meta = [];
+    Object.values(byCow).forEach(rows => {
+        rows.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const cow = buildSequenceWindows(rows, features);
+        windows.push(...cow.windows);
+        meta.push(...cow.meta);
+    });
+
+    return { windows, meta };
+}
+
+// Per-minute labels: { timestamp (epoch ms), cow_id, ruminating (0 | 1) }
+export function toMinuteLabels(meta, predictions) {
+    return meta.map((m, i) => ({
+        timestamp: new Date(m.timestamp).getTime(),
+        cow_id: m.cow_id,
+        ruminating: predictions[i] ? 1 : 0
+    }));
+}
+
+// A model that gives every window the same label says nothing about rumination; its minutes
+// shouldn't be shown. (The bundled CNN never scores above ~0.1, so it labels every window 0.)
+export function isConstantOutput(predictions) {
+    return predictions.length > 1 && predictions.every(p => p === predictions[0]);
+}
+
+// Rumination minutes per cow per calendar day: { COW_01: { '2025-11-30': 412, ... } }
+// Labels after untilMs are ignored so the totals follow the simulation clock.
+export function dailyRuminationMinutes(labels, minutesPerLabel = 1, untilMs = Infinity) {
+    const daily = {};
+    labels.forEach(l => {
+        if (l.timestamp > untilMs) return;
+        const day = format(l.timestamp, 'yyyy-MM-dd');
+        const cowDays = daily[l.cow_id] = daily[l.cow_id] || {};
+        cowDays[day] = (cowDays[day] || 0) + l.ruminating * minutesPerLabel;
+    });
+    return daily;
+}
+
+// Per-cow baseline: mean rumination minutes across that cow's recorded days,
+// leaving out excludeDay ('yyyy-MM-dd', the day in progress, whose total is still partial)
+export function ruminationBaseline(daily, excludeDay = null) {
+    const baseline = {};
+    Object.entries(daily).forEach(([cow, days]) => {
+        const values = Object.entries(days).filter(([day]) => day !== excludeDay).map(([, minutes]) => minutes);
+        if (values.length) baseline[cow] = values.reduce((a, b) => a + b, 0) / values.length;
+    });
+    return baseline;
+}
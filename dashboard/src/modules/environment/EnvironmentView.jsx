@@ -1,6 +1,8 @@
 import React, { useState, useMemo } from 'react';
 import { useCowData } from '../../hooks/useCowData';
 import { useLiveSimulation } from '../../hooks/useLiveSimulation';
+import { useSimulationClock } from '../../hooks/useSimulationClock';
+import { useFarm } from '../../hooks/useFarm';
 import {
     Chart as ChartJS,
     LinearScale,
@@ -13,16 +15,22 @@ import { Scatter } from 'react-chartjs-2';
 
 ChartJS.register(LinearScale, PointElement, Tooltip, Legend, Title);
 
+// [fill, stroke] per geofence zone kind
+const ZONE_COLORS = {
+    barn: ['rgba(241, 245, 249, 0.6)', 'rgba(148, 163, 184, 0.6)'],
+    water: ['rgba(219, 234, 254, 0.6)', 'rgba(59, 130, 246, 0.5)'],
+    pasture: ['rgba(220, 252, 231, 0.5)', 'rgba(34, 197, 94, 0.5)']
+};
+
 export default function EnvironmentView({ selectedCow, onSelectCow }) {
     const { data, cows, loading } = useCowData();
+    const { geofence, thresholds } = useFarm();
 
     // Simulation State
-    const [mode, setMode] = useState('LIVE'); // 'LIVE' | 'REPLAY'
-    const [historyHours, setHistoryHours] = useState(24);
-    const [replaySpeed, setReplaySpeed] = useState(60);
+    const { mode, historyHours, setMode, setHistoryHours, setReplaySpeed } = useSimulationClock(); // Shared app clock
     const [zoomLevel, setZoomLevel] = useState(10 / 60); // Default to 10m trail
 
-    const { liveData, currentTime, resetSimulation } = useLiveSimulation(data, mode === 'LIVE', replaySpeed, historyHours);
+    const { liveData, currentTime, resetSimulation, getCowRows } = useLiveSimulation(data);
 
     const currentCow = selectedCow || (cows.length > 0 ? cows[0] : 'COW_01');
 
@@ -37,15 +45,13 @@ export default function EnvironmentView({ selectedCow, onSelectCow }) {
         if (mode === 'LIVE') {
             setZoomLevel(10 / 60);
         } else {
-            setZoomLevel(historyHours === 48 ? 48 : 12);
+            setZoomLevel(historyHours > 24 ? historyHours : 12);
         }
     }, [mode, historyHours]);
 
     const chartData = useMemo(() => {
         if (!liveData || !liveData.length) return null;
 
-        // Sort full data once
-        const sortedData = [...liveData].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
         const nowMs = currentTime ? currentTime.getTime() : Date.now();
         const trailDurationMs = zoomLevel * 60 * 60 * 1000;
 
@@ -56,12 +62,8 @@ export default function EnvironmentView({ selectedCow, onSelectCow }) {
         const datasets = cows.map(cowId => {
             const isSelected = cowId === currentCow;
 
-            // Filter data for this cow and time window
-            const cowPoints = sortedData.filter(d => {
-                if (d.cow_id !== cowId) return false;
-                const t = new Date(d.timestamp).getTime();
-                return t >= nowMs - trailDurationMs && t <= nowMs;
-            });
+            // This cow's trail within the time window (binary-searched, already <= now)
+            const cowPoints = getCowRows(cowId, nowMs - trailDurationMs);
 
             return {
                 label: cowId,
@@ -73,8 +75,8 @@ export default function EnvironmentView({ selectedCow, onSelectCow }) {
 
                     // Base Color
                     let color;
-                    if (val < 72) color = '75, 192, 192'; // Green
-                    else if (val < 78) color = '255, 205, 86'; // Yellow
+                    if (val < thresholds.thiWarning) color = '75, 192, 192'; // Green
+                    else if (val < thresholds.thiDanger) color = '255, 205, 86'; // Yellow
                     else color = '255, 99, 132'; // Red
 
                     // Opacity: 0.9 for selected, 0.25 for others
@@ -112,7 +114,7 @@ export default function EnvironmentView({ selectedCow, onSelectCow }) {
         });
 
         return { datasets };
-    }, [liveData, cows, currentCow, zoomLevel, currentTime]);
+    }, [liveData, cows, currentCow, zoomLevel, currentTime, thresholds, getCowRows]);
 
     // Helper: Point in Polygon (Ray Casting)
     const isPointInPolygon = (point, vs) => {
@@ -133,6 +135,7 @@ export default function EnvironmentView({ selectedCow, onSelectCow }) {
         id: 'farmMap',
         beforeDatasetsDraw(chart) {
             const { ctx, scales: { x, y } } = chart;
+            if (!geofence) return;
 
             // Helper to draw polygon from GPS coords
             const drawZone = (coords, color, strokeColor, label) => {
@@ -173,39 +176,14 @@ export default function EnvironmentView({ selectedCow, onSelectCow }) {
                 ctx.restore();
             };
 
-            // 1. Farm Boundary (Virtual Fence) - Irregular Polygon
-            const farmBoundary = [
-                [-81.3045, 43.0485], // Top Left
-                [-81.2980, 43.0485], // Top Right (Panhandle start)
-                [-81.2980, 43.0460], // Notch in
-                [-81.2960, 43.0460], // Panhandle end
-                [-81.2960, 43.0420], // Bottom Right
-                [-81.3000, 43.0415], // Bottom Curve
-                [-81.3030, 43.0425], // Bottom Left
-                [-81.3045, 43.0450]  // Mid Left
-            ];
-            // Subtle Green/Brown fill, White Dashed Fence
-            drawZone(farmBoundary, 'rgba(236, 253, 245, 0.4)', 'rgba(16, 185, 129, 0.4)', 'Virtual Fence');
-
-            // 2. Barn Area - Rectangle near top
-            const barnArea = [
-                [-81.302, 43.0475],
-                [-81.300, 43.0475],
-                [-81.300, 43.0465],
-                [-81.302, 43.0465]
-            ];
-            // Grey/Wood color
-            drawZone(barnArea, 'rgba(241, 245, 249, 0.6)', 'rgba(148, 163, 184, 0.6)', 'BARN');
-
-            // 3. Drinking Area - Small zone near barn
-            const waterArea = [
-                [-81.3015, 43.0460],
-                [-81.3005, 43.0460],
-                [-81.3005, 43.0455],
-                [-81.3015, 43.0455]
-            ];
-            // Blue
-            drawZone(waterArea, 'rgba(219, 234, 254, 0.6)', 'rgba(59, 130, 246, 0.5)', 'WATER');
+            // 1. Farm Boundary (Virtual Fence) - Subtle Green/Brown fill, White Dashed Fence
+            drawZone(geofence.boundary, 'rgba(236, 253, 245, 0.4)', 'rgba(16, 185, 129, 0.4)', 'Virtual Fence');
+
+            // 2. Named Zones (Barn: Grey/Wood, Water: Blue)
+            geofence.zones.forEach(zone => {
+                const [fill, stroke] = ZONE_COLORS[zone.kind] || ZONE_COLORS.barn;
+                drawZone(zone.polygon, fill, stroke, zone.name);
+            });
         }
     };
 
@@ -215,12 +193,6 @@ export default function EnvironmentView({ selectedCow, onSelectCow }) {
         afterDatasetsDraw(chart) {
             const { ctx } = chart;
 
-            // Define boundary again for check (must match above)
-            const farmBoundary = [
-                [-81.3045, 43.0485], [-81.2980, 43.0485], [-81.2980, 43.0460],
-                [-81.2960, 43.0460], [-81.2960, 43.0420], [-81.3000, 43.0415],
-                [-81.3030, 43.0425], [-81.3045, 43.0450]
-            ];
 
             chart.data.datasets.forEach((dataset, i) => {
                 const meta = chart.getDatasetMeta(i);
@@ -237,8 +209,7 @@ export default function EnvironmentView({ selectedCow, onSelectCow }) {
                     const text = dataset.cowId;
 
                     // Check Bounds
-                    const isInside = isPointInPolygon(gpsPoint, farmBoundary);
-                    const isOutOfBounds = !isInside;
+                    const isOutOfBounds = !!geofence && !isPointInPolygon(gpsPoint, geofence.boundary);
 
                     // Style
                     ctx.save();
@@ -324,15 +295,15 @@ export default function EnvironmentView({ selectedCow, onSelectCow }) {
                 title: { display: true, text: 'Longitude' },
                 grid: { display: false },
                 ticks: { display: true },
-                min: -81.305,
-                max: -81.295
+                min: geofence?.bounds.minLng,
+                max: geofence?.bounds.maxLng
             },
             y: {
                 title: { display: true, text: 'Latitude' },
                 grid: { display: false },
                 ticks: { display: true },
-                min: 43.040,
-                max: 43.050
+                min: geofence?.bounds.minLat,
+                max: geofence?.bounds.maxLat
             }
         }
     };
@@ -387,7 +358,7 @@ export default function EnvironmentView({ selectedCow, onSelectCow }) {
                             onClick={() => {
                                 setMode('REPLAY');
                                 setHistoryHours(24);
-                                setReplaySpeed(60);
+                                setReplaySpeed(600);
                                 resetSimulation();
                             }}
                             className={`px-3 py-1 text-xs font-bold rounded-md transition-colors ${mode === 'REPLAY' && historyHours === 24 ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:bg-slate-200'}`}
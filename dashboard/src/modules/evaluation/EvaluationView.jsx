@@ -0,0 +1,235 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { useCowData } from '../../hooks/useCowData';
+import { useInference } from '../../hooks/useInference';
+import { useModelRegistry, checkFeatureRanges } from '../../hooks/useModelRegistry';
+import { featureConfigFromManifest } from '../../utils/featureExtraction';
+import { buildImuWindows } from '../posture/postureLogic';
+import { toClassName, evaluatePredictions } from './evaluationLogic';
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    PointElement,
+    Tooltip,
+    Legend,
+    Title,
+    TimeScale
+} from 'chart.js';
+import { Scatter } from 'react-chartjs-2';
+import 'chartjs-adapter-date-fns';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, Tooltip, Legend, Title, TimeScale);
+
+const pct = (v) => `${(v * 100).toFixed(1)}%`;
+
+export default function EvaluationView() {
+    const { data, loading, source: imuSource } = useCowData('imu'); // The active farm's labelled IMU collars
+    const { models, loading: registryLoading } = useModelRegistry();
+    const { runBatch } = useInference();
+
+    // Any model that consumes raw IMU can be scored against the labelled file
+    const candidates = useMemo(() => models.filter(m => m.features?.source === 'raw_imu'), [models]);
+    const [modelId, setModelId] = useState('posture_gb');
+    const model = candidates.find(m => m.id === modelId) || candidates[0];
+
+    // rows: { timestamp, cow_id, truth, predicted }; rangeIssues: features outside the model's training ranges
+    const [windows, setWindows] = useState({ modelId: null, rows: [], rangeIssues: [] });
+    const [runError, setRunError] = useState(null);
+
+    useEffect(() => {
+        if (!model || !data.length) return;
+        let cancelled = false;
+
+        const { windows: features, meta } = buildImuWindows(data, featureConfigFromManifest(model.features));
+        runBatch(model.path, features)
+            .then(({ predictions }) => {
+                if (cancelled) return;
+                // Truth labels may carry qualifiers too ('Lying (Ruminating)' from generate_data.cjs)
+                const rows = meta
+                    .map((m, i) => ({ ...m, truth: m.truth && toClassName(null, m.truth), predicted: toClassName(model, predictions[i]) }))
+                    .filter(r => r.truth !== null);
+                setWindows({ modelId: model.id, rows, rangeIssues: checkFeatureRanges(model, features) });
+                setRunError(null);
+            })
+            .catch(e => {
+                if (!cancelled) setRunError(e.message);
+            });
+
+        return () => { cancelled = true; };
+    }, [model, data, runBatch]);
+
+    const current = model && windows.modelId === model.id;
+    const rows = useMemo(() => (current ? windows.rows : []), [current, windows]);
+    const rangeIssues = current ? windows.rangeIssues : [];
+
+    const report = useMemo(
+        () => evaluatePredictions(rows.map(r => r.truth), rows.map(r => r.predicted)),
+        [rows]
+    );
+
+    // Disagreement Timeline: one lane per animal
+    const animals = useMemo(() => [...new Set(rows.map(r => r.cow_id))].sort(), [rows]);
+    const timelineData = useMemo(() => {
+        const toPoint = r => ({ x: new Date(r.timestamp).getTime(), y: r.cow_id, truth: r.truth, predicted: r.predicted });
+        return {
+            datasets: [
+                {
+                    label: 'Agree',
+                    data: rows.filter(r => r.truth === r.predicted).map(toPoint),
+                    backgroundColor: 'rgba(75, 192, 192, 0.5)',
+                    pointRadius: 3
+                },
+                {
+                    label: 'Disagree',
+                    data: rows.filter(r => r.truth !== r.predicted).map(toPoint),
+                    backgroundColor: 'rgba(220, 38, 38, 0.8)',
+                    pointRadius: 5
+                }
+            ]
+        };
+    }, [rows]);
+
+    const timelineOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: { duration: 0 },
+        plugins: {
+            legend: { position: 'top', align: 'end' },
+            tooltip: {
+                callbacks: {
+                    label: (ctx) => `${ctx.raw.y} @ ${new Date(ctx.raw.x).toLocaleTimeString()}: ${ctx.raw.truth} → ${ctx.raw.predicted}`
+                }
+            }
+        },
+        scales: {
+            x: {
+                type: 'time',
+                time: { unit: 'minute', displayFormats: { minute: 'HH:mm' } },
+                title: { display: true, text: 'Time' }
+            },
+            y: {
+                type: 'category',
+                labels: animals,
+                offset: true,
+                grid: { display: false }
+            }
+        }
+    };
+
+    if (loading || registryLoading) return <div className="p-10 text-center">Loading Data...</div>;
+    if (!imuSource) return <div className="p-10 text-center text-slate-500">This farm has no IMU collars to evaluate against.</div>;
+
+    const maxCell = Math.max(1, ...report.confusion.flat());
+
+    return (
+        <div className="h-full flex flex-col p-4 space-y-4 overflow-y-auto">
+            <div className="flex justify-between items-center">
+                <div>
+                    <h2 className="text-xl font-bold text-slate-800">Model Evaluation</h2>
+                    <p className="text-xs text-slate-500">Predictions vs. labelled IMU data ({report.total} windows)</p>
+                </div>
+
+                <select
+                    value={model?.id || ''}
+                    onChange={(e) => setModelId(e.target.value)}
+                    className="p-2 border rounded-md bg-white shadow-sm text-sm"
+                >
+                    {candidates.map(m => <option key={m.id} value={m.id}>{m.name} v{m.version}</option>)}
+                </select>
+            </div>
+
+            {runError && (
+                <div className="p-3 bg-red-50 border border-red-100 rounded-lg text-xs text-red-600">Evaluation failed: {runError}</div>
+            )}
+            {rangeIssues.length > 0 && (
+                <div className="p-3 bg-amber-50 border border-amber-100 rounded-lg text-xs text-amber-700">
+                    <p className="font-bold mb-1">These collar features are outside what {model.name} was trained on; its predictions are not meaningful here.</p>
+                    <ul className="list-disc pl-4">
+                        {rangeIssues.map(issue => <li key={issue}>{issue}</li>)}
+                    </ul>
+                </div>
+            )}
+
+            {/* Summary */}
+            <div className="grid grid-cols-3 gap-4">
+                <SummaryCard label="Accuracy" value={rows.length ? pct(report.accuracy) : '--'} />
+                <SummaryCard label="Macro F1" value={rows.length ? pct(report.macroF1) : '--'} />
+                <SummaryCard label="Disagreements" value={rows.length ? `${timelineData.datasets[1].data.length}` : '--'} />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {/* Per-Class Metrics */}
+                <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-100">
+                    <h3 className="text-sm font-bold text-slate-500 mb-3">Per-Class Metrics</h3>
+                    <table className="w-full text-xs">
+                        <thead>
+                            <tr className="text-slate-400 text-left">
+                                <th className="pb-2">Class</th>
+                                <th className="pb-2 text-right">Precision</th>
+                                <th className="pb-2 text-right">Recall</th>
+                                <th className="pb-2 text-right">F1</th>
+                                <th className="pb-2 text-right">Support</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {report.perClass.map(c => (
+                                <tr key={c.cls} className="border-t border-slate-100">
+                                    <td className="py-1.5 font-bold text-slate-700">{c.cls}</td>
+                                    <td className="py-1.5 text-right font-mono">{pct(c.precision)}</td>
+                                    <td className="py-1.5 text-right font-mono">{pct(c.recall)}</td>
+                                    <td className="py-1.5 text-right font-mono">{pct(c.f1)}</td>
+                                    <td className="py-1.5 text-right font-mono text-slate-400">{c.support}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                {/* Confusion Matrix */}
+                <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-100">
+                    <h3 className="text-sm font-bold text-slate-500 mb-3">Confusion Matrix <span className="font-normal text-slate-400">(rows: truth, cols: predicted)</span></h3>
+                    <table className="text-xs mx-auto">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                {report.classes.map(c => <th key={c} className="px-2 pb-1 text-slate-500">{c}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {report.classes.map((truth, i) => (
+                                <tr key={truth}>
+                                    <th className="pr-2 text-right text-slate-500">{truth}</th>
+                                    {report.confusion[i].map((count, j) => {
+                                        const alpha = count / maxCell;
+                                        const color = i === j ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+                                        return (
+                                            <td key={j} className="w-14 h-10 text-center font-mono font-bold border border-white rounded" style={{ backgroundColor: count ? color : '#f8fafc' }}>
+                                                {count}
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {/* Disagreement Timeline */}
+            <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-100 h-56 shrink-0">
+                {rows.length > 0
+                    ? <Scatter data={timelineData} options={timelineOptions} />
+                    : <div className="flex items-center justify-center h-full text-slate-400">Running model...</div>}
+            </div>
+        </div>
+    );
+}
+
+function SummaryCard({ label, value }) {
+    return (
+        <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-100">
+            <p className="text-[10px] text-slate-500 font-bold uppercase tracking-wider">{label}</p>
+            <h3 className="text-2xl font-bold text-slate-800">{value}</h3>
+        </div>
+    );
+}
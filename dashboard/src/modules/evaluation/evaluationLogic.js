@@ -0,0 +1,45 @@
+// Map a raw model label onto a comparable class name via the manifest label map.
+// Qualifiers are dropped so 'Lying (Ruminating)' is scored as 'Lying'.
+export function toClassName(model, label) {
+    const name = model?.labels?.[String(label)] ?? String(label);
+    return name.replace(/\s*\(.*\)$/, '');
+}
+
+// Accuracy, per-class precision / recall / F1 and a confusion matrix.
+// confusion[i][j] = windows with truth classes[i] predicted as classes[j]
+export function evaluatePredictions(truths, predictions) {
+    const classes = [...new Set([...truths, ...predictions])].sort();
+    const index = Object.fromEntries(classes.map((c, i) => [c, i]));
+    const confusion = classes.map(() => classes.map(() => 0));
+
+    let correct = 0;
+    truths.forEach((truth, i) => {
+        confusion[index[truth]][index[predictions[i]]]++;
+        if (truth === predictions[i]) correct++;
+    });
+
+    const perClass = classes.map((cls, i) => {
+        const tp = confusion[i][i];
+        const support = confusion[i].reduce((a, b) => a + b, 0);
+        const predicted = confusion.reduce((a, row) => a + row[i], 0);
+
+        const precision = predicted ? tp / predicted : 0;
+        const recall = support ? tp / support : 0;
+        const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+
+        return { cls, precision, recall, f1, support };
+    });
+
+    // Macro average over classes that actually occur in the ground truth
+    const scored = perClass.filter(c => c.support > 0);
+    const macroF1 = scored.length ? scored.reduce((a, c) => a + c.f1, 0) / scored.length : 0;
+
+    return {
+        classes,
+        confusion,
+        perClass,
+        accuracy: truths.length ? correct / truths.length : 0,
+        macroF1,
+        total: truths.length
+    };
+}
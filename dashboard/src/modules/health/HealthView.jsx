@@ -1,6 +1,11 @@
 import React, { useState, useMemo } from 'react';
 import { useCowData } from '../../hooks/useCowData';
 import { useLiveSimulation } from '../../hooks/useLiveSimulation';
+import { useSimulationClock } from '../../hooks/useSimulationClock';
+import { useFarm } from '../../hooks/useFarm';
+import { useInference } from '../../hooks/useInference';
+import { useModelRegistry } from '../../hooks/useModelRegistry';
+import { buildSequenceWindows } from '../../utils/sequenceWindows';
 import {
     Chart as ChartJS,
     CategoryScale,
@@ -30,17 +35,49 @@ ChartJS.register(
 
 export default function HealthView({ selectedCow, onSelectCow }) {
     const { data, cows, loading } = useCowData();
+    const { thresholds } = useFarm();
 
     // Simulation State
-    const [mode, setMode] = useState('LIVE'); // 'LIVE' | 'REPLAY'
-    const [historyHours, setHistoryHours] = useState(24);
-    const [replaySpeed, setReplaySpeed] = useState(60); // 1 hour per second
+    const { mode, historyHours, setMode, setHistoryHours, setReplaySpeed } = useSimulationClock(); // Shared app clock
     const [zoomLevel, setZoomLevel] = useState(10 / 60); // Default to 10m for LIVE
 
-    const { liveData, currentTime, resetSimulation } = useLiveSimulation(data, mode === 'LIVE', replaySpeed, historyHours);
+    const { liveData, currentTime, resetSimulation, getCowRows } = useLiveSimulation(data);
 
     const currentCow = selectedCow || (cows.length > 0 ? cows[0] : 'COW_01');
 
+    // Estrus Model (LSTM over rolling sensor windows)
+    const { runBatch } = useInference();
+    const { getModel } = useModelRegistry();
+    const estrusModel = getModel('estrus_lstm');
+    const estrusCaveat = estrusModel?.caveat ?? null; // Manifest note on how far the alerts can be trusted
+    const [estrusThreshold, setEstrusThreshold] = useState(thresholds.estrusProbability);
+    const [estrusProb, setEstrusProb] = useState({ cow: null, byTime: {} }); // epoch ms -> probability
+
+    React.useEffect(() => {
+        if (!estrusModel || estrusModel.status === 'error' || !data.length) return;
+        let cancelled = false;
+
+        // Window layout (channels, length, scaling) comes from the model manifest
+        const { columns, windowSize } = estrusModel.features;
+        const cowRows = data
+            .filter(d => d.cow_id === currentCow)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const { windows, meta } = buildSequenceWindows(cowRows, estrusModel.features);
+
+        runBatch(estrusModel.path, windows, [windowSize, columns.length])
+            .then(({ probabilities }) => {
+                if (cancelled) return;
+                const byTime = {};
+                meta.forEach((m, i) => {
+                    byTime[new Date(m.timestamp).getTime()] = probabilities[i][0];
+                });
+                setEstrusProb({ cow: currentCow, byTime });
+            })
+            .catch(e => console.error("Estrus model failed:", e));
+
+        return () => { cancelled = true; };
+    }, [data, currentCow, estrusModel, runBatch]);
+
     React.useEffect(() => {
         if (!selectedCow && cows.length > 0) {
             if (onSelectCow) onSelectCow(cows[0]);
@@ -52,25 +89,18 @@ export default function HealthView({ selectedCow, onSelectCow }) {
         if (mode === 'LIVE') {
             setZoomLevel(10 / 60); // Default to 10m zoom for Live
         } else {
-            setZoomLevel(historyHours === 48 ? 48 : 12);
+            setZoomLevel(historyHours > 24 ? historyHours : 12);
         }
     }, [mode, historyHours]);
 
     const chartData = useMemo(() => {
         if (!liveData || !liveData.length) return null;
 
-        const cowData = liveData.filter(d => d.cow_id === currentCow);
-        cowData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const cowData = getCowRows(currentCow); // Time-sorted, sliced to the clock
 
-        // MOCK ESTRUS: If COW_01, add fake estrus alerts between 14:00 and 18:00
-        const mockData = cowData.map(d => {
-            const h = new Date(d.timestamp).getHours();
-            const isMockEstrus = currentCow === 'COW_01' && h >= 14 && h <= 18;
-            return {
-                ...d,
-                label_estrus: d.label_estrus || (isMockEstrus ? 1 : 0)
-            };
-        });
+        // Estrus probability per row (null until the first full window / model result)
+        const estrusByTime = estrusProb.cow === currentCow ? estrusProb.byTime : {};
+        const getEstrusProb = (d) => estrusByTime[new Date(d.timestamp).getTime()] ?? null;
 
         // Pulsation Logic
         const pulseRadius = Math.abs(Math.sin(Date.now() / 200)) * 5 + 10;
@@ -114,7 +144,7 @@ export default function HealthView({ selectedCow, onSelectCow }) {
                 {
                     type: 'line',
                     label: 'Neck Temperature (°C)',
-                    data: mockData.map(d => ({ x: d.timestamp, y: d.neck_temp_c })),
+                    data: cowData.map(d => ({ x: d.timestamp, y: d.neck_temp_c })),
                     borderColor: 'rgb(255, 99, 132)',
                     backgroundColor: 'rgba(255, 99, 132, 0.5)',
                     yAxisID: 'y',
@@ -127,7 +157,7 @@ export default function HealthView({ selectedCow, onSelectCow }) {
                 {
                     type: 'line',
                     label: 'Activity Index (ODBA)',
-                    data: mockData.map(d => ({ x: d.timestamp, y: d.activity_index })),
+                    data: cowData.map(d => ({ x: d.timestamp, y: d.activity_index })),
                     borderColor: 'rgb(54, 162, 235)',
                     backgroundColor: 'rgba(54, 162, 235, 0.5)',
                     yAxisID: 'y1',
@@ -139,22 +169,33 @@ export default function HealthView({ selectedCow, onSelectCow }) {
                 },
                 {
                     type: 'bar',
-                    label: 'Estrus Alert',
-                    data: mockData.map(d => ({
+                    label: estrusCaveat ? 'Estrus Alert (experimental)' : 'Estrus Alert',
+                    data: cowData.map(d => ({
                         x: d.timestamp,
-                        y: d.label_estrus ? 1 : 0
+                        y: getEstrusProb(d)
                     })),
-                    backgroundColor: '#fc9ac3', // User requested specific shade
-                    borderColor: '#fc9ac3',
+                    // Full shade above threshold, faded below
+                    backgroundColor: (ctx) => (ctx.raw?.y ?? 0) >= estrusThreshold ? '#fc9ac3' : 'rgba(252, 154, 195, 0.25)', // User requested specific shade
+                    borderColor: (ctx) => (ctx.raw?.y ?? 0) >= estrusThreshold ? '#fc9ac3' : 'rgba(252, 154, 195, 0.25)',
                     borderWidth: 1,
                     yAxisID: 'yEstrus',
                     barThickness: 'flex',
                     categoryPercentage: 1.0,
                     barPercentage: 1.0
+                },
+                {
+                    type: 'line',
+                    label: 'Estrus Threshold',
+                    data: cowData.map(d => ({ x: d.timestamp, y: estrusThreshold })),
+                    borderColor: 'rgba(236, 72, 153, 0.6)',
+                    borderDash: [4, 4],
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    yAxisID: 'yEstrus'
                 }
             ]
         };
-    }, [liveData, currentCow]);
+    }, [liveData, currentCow, getCowRows, estrusProb, estrusThreshold, estrusCaveat]);
 
     const options = {
         responsive: true,
@@ -177,7 +218,10 @@ export default function HealthView({ selectedCow, onSelectCow }) {
                         }
                         if (context.parsed.y !== null) {
                             if (context.dataset.yAxisID === 'yEstrus') {
-                                label += context.parsed.y === 1 ? 'High Alert' : 'Normal';
+                                label += `${(context.parsed.y * 100).toFixed(0)}%`;
+                                if (context.dataset.type === 'bar') {
+                                    label += context.parsed.y >= estrusThreshold ? ' (High Alert)' : ' (Normal)';
+                                }
                             } else {
                                 label += context.parsed.y.toFixed(2);
                             }
@@ -290,7 +334,7 @@ export default function HealthView({ selectedCow, onSelectCow }) {
                             onClick={() => {
                                 setMode('REPLAY');
                                 setHistoryHours(24);
-                                setReplaySpeed(60);
+                                setReplaySpeed(600);
                                 resetSimulation();
                             }}
                             className={`px-3 py-1 text-xs font-bold rounded-md transition-colors ${mode === 'REPLAY' && historyHours === 24 ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:bg-slate-200'}`}
@@ -301,7 +345,7 @@ export default function HealthView({ selectedCow, onSelectCow }) {
                             onClick={() => {
                                 setMode('REPLAY');
                                 setHistoryHours(48);
-                                setReplaySpeed(120);
+                                setReplaySpeed(1000);
                                 resetSimulation();
                             }}
                             className={`px-3 py-1 text-xs font-bold rounded-md transition-colors ${mode === 'REPLAY' && historyHours === 48 ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:bg-slate-200'}`}
@@ -311,6 +355,26 @@ export default function HealthView({ selectedCow, onSelectCow }) {
                     </div>
                     <div className="w-px h-6 bg-slate-200 mx-2"></div>
 
+                    {/* Estrus Alert Threshold */}
+                    <label className="flex items-center gap-2 text-xs font-bold text-slate-500" title="Estrus probability that raises an alert">
+                        Estrus &ge;
+                        <input
+                            type="range"
+                            min="0"
+                            max="1"
+                            step="0.01"
+                            value={estrusThreshold}
+                            onChange={(e) => setEstrusThreshold(Number(e.target.value))}
+                            className="w-20 accent-pink-400"
+                        />
+                        <span className="font-mono w-8">{Math.round(estrusThreshold * 100)}%</span>
+                        {estrusCaveat && (
+                            <span title={estrusCaveat} className="px-1.5 py-0.5 rounded bg-amber-100 text-amber-700 text-[9px] uppercase tracking-wider cursor-help">
+                                Experimental
+                            </span>
+                        )}
+                    </label>
+
                     <select
                         value={currentCow}
                         onChange={(e) => onSelectCow && onSelectCow(e.target.value)}
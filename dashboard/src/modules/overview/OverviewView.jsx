@@ -1,6 +1,8 @@
-import React, { useState, useMemo } from 'react';
+import React, { useMemo } from 'react';
 import { useCowData } from '../../hooks/useCowData';
 import { useLiveSimulation } from '../../hooks/useLiveSimulation';
+import { useSimulationClock } from '../../hooks/useSimulationClock';
+import { useFarm } from '../../hooks/useFarm';
 import {
     Chart as ChartJS,
     ArcElement,
@@ -18,29 +20,22 @@ ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarEle
 
 export default function OverviewView() {
     const { data, cows, loading } = useCowData();
+    const { thresholds } = useFarm();
 
-    // Simulation State (Auto-play by default for Overview)
-    const [mode, setMode] = useState('LIVE');
-    const [replaySpeed, setReplaySpeed] = useState(60);
-    const [historyHours, setHistoryHours] = useState(24);
+    // Simulation State (Shared app clock)
+    const { mode } = useSimulationClock();
 
-    const { liveData, currentTime } = useLiveSimulation(data, mode === 'LIVE', replaySpeed, historyHours);
+    const { liveData, currentTime, getCowRows } = useLiveSimulation(data);
 
     // Get latest data for each cow based on Simulation Time
     const latestData = useMemo(() => {
         if (!liveData || !liveData.length) return [];
 
-        // We need the "latest" point for each cow up to currentTime
-        const latest = {};
-        // liveData is already sliced to currentTime, so we just need the last entry for each cow
-        // But liveData is a flat list. Let's iterate.
-        liveData.forEach(d => {
-            if (!latest[d.cow_id] || new Date(d.timestamp) > new Date(latest[d.cow_id].timestamp)) {
-                latest[d.cow_id] = d;
-            }
-        });
-        return Object.values(latest);
-    }, [liveData]);
+        // Per-cow slices are already cut at currentTime, so the latest point is the last entry
+        return cows
+            .map(cowId => getCowRows(cowId).at(-1))
+            .filter(Boolean);
+    }, [liveData, cows, getCowRows]);
 
     // Donut Data: Aggregate current state
     const donutData = useMemo(() => {
@@ -78,10 +73,10 @@ export default function OverviewView() {
             datasets: [{
                 label: 'Battery Voltage (V)',
                 data: latestData.map(d => d.battery_v),
-                backgroundColor: latestData.map(d => d.battery_v < 3.6 ? 'rgba(255, 99, 132, 0.8)' : 'rgba(75, 192, 192, 0.8)')
+                backgroundColor: latestData.map(d => d.battery_v < thresholds.batteryLowV ? 'rgba(255, 99, 132, 0.8)' : 'rgba(75, 192, 192, 0.8)')
             }]
         };
-    }, [latestData]);
+    }, [latestData, thresholds]);
 
     // Alerts
     const alerts = useMemo(() => {
@@ -1,8 +1,13 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { RefreshCw, AlertCircle, TrendingUp, Clock } from 'lucide-react';
 import GanttChart from '../../components/charts/GanttChart';
 import { useCowData } from '../../hooks/useCowData';
 import { useLiveSimulation } from '../../hooks/useLiveSimulation';
+import { useSimulationClock } from '../../hooks/useSimulationClock';
+import { useInference } from '../../hooks/useInference';
+import { useModelRegistry, checkFeatureRanges } from '../../hooks/useModelRegistry';
+import { featureConfigFromManifest } from '../../utils/featureExtraction';
+import { POSTURE_MODEL, POSTURE_FEATURES, POSTURE_LABELS, buildImuWindows, toPostureRows } from './postureLogic';
 
 class ErrorBoundary extends React.Component {
     constructor(props) {
@@ -32,15 +37,51 @@ class ErrorBoundary extends React.Component {
 }
 
 export default function PostureView({ isActive, onSelectData }) {
-    const { data, cows, loading } = useCowData();
+    const { data, loading, source: imuSource } = useCowData('imu'); // The active farm's raw IMU collars
+
+    // Model Output (one row per classified window)
+    const [predictions, setPredictions] = useState([]);
+    const [modelStatus, setModelStatus] = useState('loading'); // 'loading' | 'ready' | 'error'
+    const [rangeIssues, setRangeIssues] = useState([]); // Features the model wasn't trained on
+    const { runBatch } = useInference();
+    const { getModel, loading: registryLoading } = useModelRegistry();
+    const postureModel = getModel('posture_gb');
+
+    // Window length / overlap / feature set come from the model manifest when available
+    const featureConfig = useMemo(
+        () => (postureModel ? featureConfigFromManifest(postureModel.features) : POSTURE_FEATURES),
+        [postureModel]
+    );
+    // Each prediction covers one window step
+    const blockMinutes = Math.max(1, Math.round(featureConfig.windowLength * (1 - featureConfig.overlap))) / featureConfig.sampleRateHz / 60;
+
+    useEffect(() => {
+        if (!data.length || registryLoading) return;
+        let cancelled = false;
+
+        const { windows, meta } = buildImuWindows(data, featureConfig);
+        runBatch(postureModel ? postureModel.path : POSTURE_MODEL, windows)
+            .then(({ predictions: labels }) => {
+                if (cancelled) return;
+                setPredictions(toPostureRows(meta, labels, postureModel?.labels ?? POSTURE_LABELS));
+                setRangeIssues(checkFeatureRanges(postureModel, windows));
+                setModelStatus('ready');
+            })
+            .catch(e => {
+                console.error("Posture model failed:", e);
+                if (!cancelled) setModelStatus('error');
+            });
+
+        return () => { cancelled = true; };
+    }, [data, runBatch, registryLoading, postureModel, featureConfig]);
+
+    const cows = useMemo(() => [...new Set(predictions.map(p => p.cow_id))].sort(), [predictions]);
 
     // Simulation State
-    const [mode, setMode] = useState('LIVE');
-    const [historyHours, setHistoryHours] = useState(24);
-    const [replaySpeed, setReplaySpeed] = useState(60);
+    const { mode, historyHours, setMode, setHistoryHours, setReplaySpeed } = useSimulationClock(); // Shared app clock
     const [zoomLevel, setZoomLevel] = useState(10 / 60); // Default 10m for Live
 
-    const { liveData, currentTime, resetSimulation } = useLiveSimulation(data, mode === 'LIVE', replaySpeed, historyHours);
+    const { liveData, currentTime, resetSimulation, getCowRows } = useLiveSimulation(predictions);
 
     const [results, setResults] = useState([]);
     const [stats, setStats] = useState({ lying: 0, standing: 0, eating: 0 });
@@ -64,7 +105,7 @@ export default function PostureView({ isActive, onSelectData }) {
         if (cows.length > 0 && data.length > 0) {
             const meta = {};
             cows.forEach(id => {
-                const row = data.find(r => String(r.cow_id) === id);
+                const row = data.find(r => String(r.AnimalID) === id);
                 if (row) {
                     meta[id] = {
                         age: row.Age || 'Unknown',
@@ -90,7 +131,7 @@ export default function PostureView({ isActive, onSelectData }) {
         // Filter by AnimalID
         const filteredData = isAll
             ? liveData
-            : liveData.filter(row => String(row.cow_id) === selectedAnimal);
+            : getCowRows(selectedAnimal);
 
         // We only need to process the *latest* chunk really, but for Gantt we need full history up to now.
         // Optimization: liveData is already the history up to currentTime.
@@ -99,14 +140,8 @@ export default function PostureView({ isActive, onSelectData }) {
         // Let's process all.
 
         filteredData.forEach(row => {
-            // Map state: lying=0, standing=1, eating=2
-            // CSV has pct_lying, pct_standing, etc. We need categorical state.
-            // Logic: Max pct wins.
-            let mappedState = 0;
-            const max = Math.max(row.pct_lying, row.pct_standing, row.pct_eating);
-            if (max === row.pct_lying) mappedState = 0;
-            else if (max === row.pct_standing) mappedState = 1;
-            else if (max === row.pct_eating) mappedState = 2;
+            // State comes straight from the model: lying=0, standing=1, eating=2
+            const mappedState = row.state;
 
             processed.push({
                 timestamp: new Date(row.timestamp).getTime(),
@@ -115,14 +150,14 @@ export default function PostureView({ isActive, onSelectData }) {
             });
 
             const key = mappedState === 0 ? 'lying' : mappedState === 1 ? 'standing' : 'eating';
-            newStats[key]++; // This counts 10-min blocks (or whatever resolution)
+            newStats[key]++; // This counts model windows (blockMinutes each)
         });
 
         setResults(processed);
         setStats(newStats);
         setIsProcessing(false);
 
-    }, [liveData, selectedAnimal]);
+    }, [liveData, selectedAnimal, getCowRows]);
 
     // Notify parent
     useEffect(() => {
@@ -150,7 +185,7 @@ export default function PostureView({ isActive, onSelectData }) {
     // Attention Logic
     const attentionStatus = isAll
         ? { label: 'Herd Status', color: 'text-green-600', bg: 'bg-green-100', msg: 'All systems normal' }
-        : (stats.eating < 12 // Less than 12 blocks (approx 2h if blocks are 10m)
+        : (stats.eating * blockMinutes < 120 // Less than 2h of eating
             ? { label: 'Attention Needed', color: 'text-red-600', bg: 'bg-red-100', msg: 'Low Feed Intake' }
             : { label: 'Animal Status', color: 'text-blue-600', bg: 'bg-blue-100', msg: 'Normal Activity' });
 
@@ -164,11 +199,9 @@ export default function PostureView({ isActive, onSelectData }) {
         } else {
             // Replay: Fixed Window (filling up)
             // Start of data (approx)
-            if (data.length > 0) {
-                // Find earliest time in FULL data to anchor the start
-                // We can approximate or find min. Let's assume data starts at some point.
-                // Ideally use the first timestamp of 'data'.
-                const start = new Date(data[0].timestamp).getTime();
+            if (predictions.length > 0) {
+                // Anchor the window at the earliest classified window
+                const start = Math.min(...predictions.map(p => new Date(p.timestamp).getTime()));
                 minTime = start;
                 maxTime = start + (historyHours * 60 * 60 * 1000);
             }
@@ -182,23 +215,21 @@ export default function PostureView({ isActive, onSelectData }) {
                 <StatCard
                     icon={<Clock size={14} className="text-blue-500" />}
                     label="Lying Time"
-                    value={`${(stats.lying * 10 / 60).toFixed(1)}h`} // Assuming 10m blocks? Wait, data is 10m? 
-                    // Actually check useLiveSimulation resolution. It emits every point. 
-                    // If CSV is 10m resolution, then * 10 is correct.
+                    value={`${(stats.lying * blockMinutes / 60).toFixed(1)}h`}
                     sub={isAll ? "Total across herd" : "Target: >10h"}
                     color="bg-blue-50"
                 />
                 <StatCard
                     icon={<TrendingUp size={14} className="text-green-500" />}
                     label="Standing Time"
-                    value={`${(stats.standing * 10 / 60).toFixed(1)}h`}
+                    value={`${(stats.standing * blockMinutes / 60).toFixed(1)}h`}
                     sub="Normal range"
                     color="bg-green-50"
                 />
                 <StatCard
                     icon={<UtensilsIcon size={14} className="text-orange-500" />}
                     label="Eating Time"
-                    value={`${(stats.eating * 10 / 60).toFixed(1)}h`}
+                    value={`${(stats.eating * blockMinutes / 60).toFixed(1)}h`}
                     sub="Intake High"
                     color="bg-orange-50"
                 />
@@ -261,6 +292,14 @@ export default function PostureView({ isActive, onSelectData }) {
                         <span className="text-xs text-slate-500 font-mono">
                             {currentTime ? currentTime.toLocaleTimeString() : '--:--:--'}
                         </span>
+
+                        {/* Model Status */}
+                        <span
+                            title={rangeIssues.join('\n')}
+                            className={`text-[10px] font-bold uppercase tracking-wider ${modelStatus === 'error' ? 'text-red-500' : rangeIssues.length ? 'text-amber-600' : modelStatus === 'ready' ? 'text-green-600' : 'text-slate-400'}`}
+                        >
+                            {!imuSource ? 'No IMU collars on this farm' : loading || modelStatus === 'loading' ? 'Loading model...' : modelStatus === 'error' ? 'Model failed' : rangeIssues.length ? 'Collar data outside model range' : 'ONNX model'}
+                        </span>
                     </div>
 
                     <div className="flex gap-2 items-center">
@@ -294,7 +333,7 @@ export default function PostureView({ isActive, onSelectData }) {
                                 onClick={() => {
                                     setMode('REPLAY');
                                     setHistoryHours(24);
-                                    setReplaySpeed(60);
+                                    setReplaySpeed(600);
                                     resetSimulation();
                                 }}
                                 className={`px-3 py-1 text-xs font-bold rounded-md transition-colors ${mode === 'REPLAY' && historyHours === 24 ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:bg-slate-200'}`}
@@ -305,7 +344,7 @@ export default function PostureView({ isActive, onSelectData }) {
                                 onClick={() => {
                                     setMode('REPLAY');
                                     setHistoryHours(48);
-                                    setReplaySpeed(60);
+                                    setReplaySpeed(600);
                                     resetSimulation();
                                 }}
                                 className={`px-3 py-1 text-xs font-bold rounded-md transition-colors ${mode === 'REPLAY' && historyHours === 48 ? 'bg-white shadow text-purple-600' : 'text-slate-500 hover:bg-slate-200'}`}
@@ -1,73 +1,86 @@
-import * as ort from 'onnxruntime-web';
+import { extractFeatures } from '../../utils/featureExtraction';
 
-// Feature Extraction Logic
-// Input: buffer (Array of 6 objects with AccX, AccY, AccZ, GyroX, GyroY, GyroZ)
-// Output: Float32Array(13)
-export function calculateFeatures(buffer) {
-    if (buffer.length !== 6) {
-        throw new Error("Buffer must have exactly 6 samples");
-    }
+// PostureView classifies single 10 s samples (windowLength 1) with this per-sample classifier on
+// raw g / rad/s readings. The windowed LightGBM model (posture/cow_behavior_model.onnx) was trained
+// on features in other units and labels every collar window 'lying', so it is only offered in the
+// evaluation module until a windowed model trained on these features replaces it.
+export const POSTURE_MODEL = '5cows/model_posture_gb.onnx';
 
-    const axes = ['AccX', 'AccY', 'AccZ', 'GyroX', 'GyroY', 'GyroZ'];
-    const features = [];
+// Fallback extraction config for the bundled model (one sample = one window, 6 features).
+// The model manifest overrides this so retrained models only need a manifest change.
+export const POSTURE_FEATURES = {
+    windowLength: 1,
+    overlap: 0,
+    sampleRateHz: 0.1,
+    featureSet: ['mean']
+};
 
-    // 1. Calculate Mean and Std for each axis
-    axes.forEach(axis => {
-        const values = buffer.map(row => row[axis]);
+// Fallback label map for the bundled model (the manifest's "labels")
+export const POSTURE_LABELS = { 0: 'Lying', 1: 'Standing', 2: 'Walking', 3: 'Eating' };
 
-        // Mean
-        const sum = values.reduce((a, b) => a + b, 0);
-        const mean = sum / values.length;
+// Model label -> GanttChart state (0=Lying, 1=Standing, 2=Eating)
+// The chart only has three lanes, so walking and rumination variants are folded in.
+// Numeric labels are named through the manifest label map first ('0' -> 'Lying').
+const LABEL_TO_STATE = {
+    'lying': 0,
+    'lying ruminating': 0,
+    'standing': 1,
+    'standing ruminating': 1,
+    'walking': 1,
+    'walking ruminating': 1,
+    'eating': 2
+};
 
-        // Std Dev (Sample, N-1)
-        // N=6, so divisor is 5
-        const squaredDiffs = values.map(v => Math.pow(v - mean, 2));
-        const sumSquaredDiffs = squaredDiffs.reduce((a, b) => a + b, 0);
-        const std = Math.sqrt(sumSquaredDiffs / 5); // N-1 = 5
-
-        features.push(mean);
-        features.push(std);
-    });
-
-    // 2. Calculate SMA (Signal Magnitude Area)
-    // SMA = 1/6 * sum(|AccX| + |AccY| + |AccZ|)
-    let smaSum = 0;
-    for (let i = 0; i < 6; i++) {
-        const absSum = Math.abs(buffer[i].AccX) + Math.abs(buffer[i].AccY) + Math.abs(buffer[i].AccZ);
-        smaSum += absSum;
-    }
-    const sma = smaSum / 6;
-    features.push(sma);
-
-    // Final Vector: [AccX_mean, AccX_std, ..., GyroZ_std, SMA]
-    return new Float32Array(features);
+// Most frequent value in a window (ground-truth label per window, as in the training notebook)
+function majority(values) {
+    const counts = {};
+    values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+    return Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a));
 }
 
-// Inference Logic
-export async function runInference(session, features) {
-    try {
-        // Create tensor. Shape [1, 13]
-        const tensor = new ort.Tensor('float32', features, [1, 13]);
+// Cut raw IMU rows (AnimalID, Timestamp, AccX..GyroZ) into per-animal feature windows.
+// Each window is stamped with its last sample.
+// Returns parallel arrays: windows (Float32Array features) and meta ({ timestamp, cow_id, truth })
+// truth is the majority Classification in the window, or null for unlabelled data.
+export function buildImuWindows(rows, config = POSTURE_FEATURES) {
+    const byAnimal = {};
+    rows.forEach(row => {
+        if (row.AnimalID == null || !row.Timestamp) return;
+        const id = String(row.AnimalID);
+        (byAnimal[id] = byAnimal[id] || []).push(row);
+    });
 
-        // Run model
-        // Note: We assume the input node name is 'float_input' or similar. 
-        // Usually ONNX Runtime can infer, but we pass the tensor map.
-        // We'll inspect the session input names dynamically to be safe.
-        const inputName = session.inputNames[0];
-        const feeds = { [inputName]: tensor };
+    const windows = [];
+    const meta = [];
+    Object.entries(byAnimal).forEach(([id, samples]) => {
+        samples.sort((a, b) => new Date(a.Timestamp) - new Date(b.Timestamp));
 
-        const results = await session.run(feeds);
+        const extracted = extractFeatures(samples, config);
+        extracted.windows.forEach((features, i) => {
+            const { start, end } = extracted.ranges[i];
+            const labels = samples.slice(start, end).map(s => s.Classification).filter(l => l != null);
 
-        // Output: usually 'label' or 'probabilities'
-        // For a classifier, we expect an integer label.
-        const outputName = session.outputNames[0];
-        const output = results[outputName];
+            windows.push(features);
+            meta.push({
+                timestamp: samples[end - 1].Timestamp,
+                cow_id: id,
+                truth: labels.length ? majority(labels) : null
+            });
+        });
+    });
 
-        // Return the predicted class (0, 1, or 2)
-        return Number(output.data[0]);
+    return { windows, meta };
+}
 
-    } catch (e) {
-        console.error("Inference Failed:", e);
-        return null;
-    }
+// Join model labels back onto window meta.
+// Output rows match the simulation schema: { timestamp, cow_id, state, label }
+export function toPostureRows(meta, labels, labelNames = POSTURE_LABELS) {
+    const rows = [];
+    labels.forEach((label, i) => {
+        const name = String(labelNames[String(label)] ?? label).toLowerCase().replace(/[()]/g, '');
+        const state = LABEL_TO_STATE[name];
+        if (state === undefined) return;
+        rows.push({ ...meta[i], state, label });
+    });
+    return rows;
 }
@@ -0,0 +1,173 @@
+// Configurable IMU feature extraction.
+//
+// Config:
+//   windowLength  - samples per window
+//   overlap       - fraction of a window shared with the next one (0 = tumbling, 0.5 = half)
+//   sampleRateHz  - sampling rate, needed for frequency features
+//   featureSet    - ordered list of feature ids (see below)
+//   axes          - IMU columns to read
+//
+// Output layout: per-axis features grouped by axis ([AccX_mean, AccX_std, AccY_mean, ...]),
+// followed by window-level features in featureSet order. ['mean', 'std', 'sma'] reproduces
+// the original 13-feature vector.
+
+export const IMU_AXES = ['AccX', 'AccY', 'AccZ', 'GyroX', 'GyroY', 'GyroZ'];
+const ACC_AXES = ['AccX', 'AccY', 'AccZ'];
+
+export const DEFAULT_FEATURE_CONFIG = {
+    windowLength: 6,
+    overlap: 0,
+    sampleRateHz: 0.1,
+    featureSet: ['mean', 'std', 'sma'],
+    axes: IMU_AXES
+};
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// Sample std (N-1), matching the training notebook / pandas default
+const std = (values) => {
+    if (values.length < 2) return 0;
+    const m = mean(values);
+    return Math.sqrt(values.reduce((a, v) => a + (v - m) ** 2, 0) / (values.length - 1));
+};
+
+// One-sided power spectrum of the mean-removed signal (naive DFT; windows are short)
+function powerSpectrum(values) {
+    const n = values.length;
+    const m = mean(values);
+    const power = [];
+    for (let k = 1; k <= Math.floor(n / 2); k++) {
+        let re = 0, im = 0;
+        for (let t = 0; t < n; t++) {
+            const angle = (2 * Math.PI * k * t) / n;
+            re += (values[t] - m) * Math.cos(angle);
+            im -= (values[t] - m) * Math.sin(angle);
+        }
+        power.push((re * re + im * im) / n);
+    }
+    return power;
+}
+
+// Per-axis features: (values, ctx) -> number
+const AXIS_FEATURES = {
+    mean: (values) => mean(values),
+    std: (values) => std(values),
+    min: (values) => Math.min(...values),
+    max: (values) => Math.max(...values),
+    spectral_energy: (values) => powerSpectrum(values).reduce((a, b) => a + b, 0),
+    dominant_freq: (values, { sampleRateHz }) => {
+        const power = powerSpectrum(values);
+        const peak = Math.max(0, ...power);
+        if (peak < 1e-12) return 0; // Flat signal: no dominant frequency
+        const k = power.indexOf(peak) + 1;
+        return (k * sampleRateHz) / values.length;
+    }
+};
+
+// Window-level features: (buffer) -> number
+const WINDOW_FEATURES = {
+    // Signal Magnitude Area: mean of |AccX| + |AccY| + |AccZ|
+    sma: (buffer) => mean(buffer.map(row => ACC_AXES.reduce((a, axis) => a + Math.abs(row[axis]), 0))),
+
+    // Dynamic body acceleration: acceleration minus the static (gravity) component, estimated as the window mean
+    odba: (buffer) => {
+        const gravity = ACC_AXES.map(axis => mean(buffer.map(row => row[axis])));
+        return mean(buffer.map(row => ACC_AXES.reduce((a, axis, i) => a + Math.abs(row[axis] - gravity[i]), 0)));
+    },
+    vedba: (buffer) => {
+        const gravity = ACC_AXES.map(axis => mean(buffer.map(row => row[axis])));
+        return mean(buffer.map(row => Math.sqrt(ACC_AXES.reduce((a, axis, i) => a + (row[axis] - gravity[i]) ** 2, 0))));
+    },
+
+    // Collar orientation from the gravity vector, in degrees
+    pitch: (buffer) => {
+        const [x, y, z] = ACC_AXES.map(axis => mean(buffer.map(row => row[axis])));
+        return Math.atan2(-x, Math.sqrt(y * y + z * z)) * 180 / Math.PI;
+    },
+    roll: (buffer) => {
+        const [, y, z] = ACC_AXES.map(axis => mean(buffer.map(row => row[axis])));
+        return Math.atan2(y, z) * 180 / Math.PI;
+    }
+};
+
+export const AVAILABLE_FEATURES = [...Object.keys(AXIS_FEATURES), ...Object.keys(WINDOW_FEATURES)];
+
+function resolveConfig(config) {
+    const resolved = { ...DEFAULT_FEATURE_CONFIG, ...config };
+    const unknown = resolved.featureSet.filter(f => !AXIS_FEATURES[f] && !WINDOW_FEATURES[f]);
+    if (unknown.length) {
+        throw new Error(`Unknown feature(s): ${unknown.join(', ')}`);
+    }
+    return resolved;
+}
+
+// Column names of the feature vector, in output order
+export function featureNames(config) {
+    const { featureSet, axes } = resolveConfig(config);
+    const axisFeatures = featureSet.filter(f => AXIS_FEATURES[f]);
+    const windowFeatures = featureSet.filter(f => WINDOW_FEATURES[f]);
+    return [
+        ...axes.flatMap(axis => axisFeatures.map(f => `${axis}_${f}`)),
+        ...windowFeatures
+    ];
+}
+
+// Feature vector for one window of IMU samples
+export function extractWindowFeatures(buffer, config) {
+    const resolved = resolveConfig(config);
+    const { featureSet, axes } = resolved;
+    if (!buffer.length) {
+        throw new Error("Buffer must have at least one sample");
+    }
+
+    const features = [];
+    const axisFeatures = featureSet.filter(f => AXIS_FEATURES[f]);
+    axes.forEach(axis => {
+        const values = buffer.map(row => row[axis]);
+        axisFeatures.forEach(f => features.push(AXIS_FEATURES[f](values, resolved)));
+    });
+
+    featureSet.filter(f => WINDOW_FEATURES[f]).forEach(f => features.push(WINDOW_FEATURES[f](buffer)));
+
+    return new Float32Array(features);
+}
+
+// Start indices of every full window, honouring overlap
+export function windowStarts(sampleCount, config) {
+    const { windowLength, overlap } = resolveConfig(config);
+    if (overlap < 0 || overlap >= 1) {
+        throw new Error("Overlap must be in [0, 1)");
+    }
+
+    const step = Math.max(1, Math.round(windowLength * (1 - overlap)));
+    const starts = [];
+    for (let i = 0; i + windowLength <= sampleCount; i += step) starts.push(i);
+    return starts;
+}
+
+// Slide windows over time-sorted samples and extract features from each.
+// Returns parallel arrays: windows (Float32Array) and ranges ({ start, end } sample indices, end exclusive)
+export function extractFeatures(samples, config) {
+    const resolved = resolveConfig(config);
+    const windows = [];
+    const ranges = [];
+
+    windowStarts(samples.length, resolved).forEach(start => {
+        const end = start + resolved.windowLength;
+        windows.push(extractWindowFeatures(samples.slice(start, end), resolved));
+        ranges.push({ start, end });
+    });
+
+    return { windows, ranges };
+}
+
+// Map a model manifest "features" block onto an extraction config
+export function featureConfigFromManifest(features) {
+    return {
+        windowLength: features.windowSize,
+        overlap: features.overlap ?? 0,
+        sampleRateHz: 1 / features.sampleIntervalSec,
+        featureSet: features.featureSet ?? DEFAULT_FEATURE_CONFIG.featureSet,
+        axes: features.axes ?? IMU_AXES
+    };
+}
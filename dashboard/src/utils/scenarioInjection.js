@@ -0,0 +1,131 @@
+// Scripted scenarios layered on top of the streamed rows (training drills, alert-rule tests).
+// A scenario is { id, type, cowId, at } where `at` is 'HH:mm' within the dataset's last 24 hours (the
+// window LIVE mode plays) or anything Date can parse. From onset on, the type's effect rewrites that cow's rows;
+// returning null drops the row (no data).
+
+const MINUTE_MS = 60 * 1000;
+
+// 0 -> 1 over rampMin minutes after onset
+const ramp = (elapsedMin, rampMin) => Math.min(1, elapsedMin / rampMin);
+
+// Patch only fields the row actually has (IMU rows carry none of the collar summary fields)
+function patch(row, values) {
+    const next = { ...row };
+    Object.entries(values).forEach(([field, fn]) => {
+        if (field in row && row[field] !== null) next[field] = typeof fn === 'function' ? fn(row[field]) : fn;
+    });
+    return next;
+}
+
+// Point just outside the fence, in the direction the cow already is from the fence centre
+function escapeTarget(lng, lat, geofence) {
+    if (!geofence) return [lng, lat + 0.005];
+
+    const { boundary } = geofence;
+    const cx = boundary.reduce((sum, p) => sum + p[0], 0) / boundary.length;
+    const cy = boundary.reduce((sum, p) => sum + p[1], 0) / boundary.length;
+    const radius = Math.max(...boundary.map(p => Math.hypot(p[0] - cx, p[1] - cy)));
+
+    const dx = lng - cx;
+    const dy = lat - cy;
+    const length = Math.hypot(dx, dy);
+    const [ux, uy] = length > 0 ? [dx / length, dy / length] : [0, 1]; // Dead centre: head north
+    return [cx + ux * radius * 1.3, cy + uy * radius * 1.3];
+}
+
+export const SCENARIO_TYPES = {
+    fever: {
+        label: 'Fever',
+        description: 'Neck temperature climbs ~1.8 C over an hour; activity, eating and rumination drop.',
+        apply: (row, elapsedMin) => {
+            const r = ramp(elapsedMin, 60);
+            return patch(row, {
+                neck_temp_c: v => v + 1.8 * r,
+                activity_index: v => v * (1 - 0.4 * r),
+                pct_eating: v => v * (1 - 0.5 * r),
+                rumination_level: v => v * (1 - 0.5 * r),
+                health_status: 'Sick_Fever'
+            });
+        }
+    },
+    lameness: {
+        label: 'Lameness',
+        description: 'Walking time falls by 70% (spent lying instead) and activity halves.',
+        apply: (row, elapsedMin) => {
+            const r = ramp(elapsedMin, 120);
+            const moved = (row.pct_walking || 0) * 0.7 * r;
+            return patch(row, {
+                pct_walking: v => v - moved,
+                pct_lying: v => Math.min(1, v + moved),
+                activity_index: v => v * (1 - 0.5 * r),
+                health_status: 'Sick_Lameness'
+            });
+        }
+    },
+    escape: {
+        label: 'Fence breach',
+        description: 'The cow walks out through the virtual fence within 30 minutes and stays out.',
+        apply: (row, elapsedMin, { geofence }) => {
+            if (typeof row.gps_long !== 'number' || typeof row.gps_lat !== 'number') return row;
+            const r = ramp(elapsedMin, 30);
+            const [tx, ty] = escapeTarget(row.gps_long, row.gps_lat, geofence);
+            return patch(row, {
+                gps_long: v => v + (tx - v) * r,
+                gps_lat: v => v + (ty - v) * r,
+                activity_index: v => v * (1 + 0.5 * r)
+            });
+        }
+    },
+    collar_failure: {
+        label: 'Collar failure',
+        description: 'Battery drains to 3.0 V over an hour, then the collar stops reporting.',
+        apply: (row, elapsedMin) => {
+            if (elapsedMin >= 60) return null;
+            const r = ramp(elapsedMin, 60);
+            return patch(row, { battery_v: v => v + (3.0 - v) * r });
+        }
+    }
+};
+
+// Onset (epoch ms) of a scenario on a dataset ending at dataEnd
+export function scenarioOnset(at, dataEnd) {
+    const clock = /^(\d{1,2}):(\d{2})$/.exec(at);
+    if (!clock) return new Date(at).getTime();
+
+    const onset = new Date(dataEnd);
+    onset.setHours(Number(clock[1]), Number(clock[2]), 0, 0);
+    if (onset.getTime() > dataEnd) onset.setDate(onset.getDate() - 1);
+    return onset.getTime();
+}
+
+/**
+ * Apply scenarios to a dataset's rows (any order; the order is kept).
+ * Untouched rows are passed through; rows are cloned before any change.
+ * @param {Array} rows
+ * @param {Array} scenarios
+ * @param {Object|null} geofence - Active farm's fence (used by 'escape')
+ * @returns {Array} the rows, with dropped ones removed
+ */
+export function applyScenarios(rows, scenarios, geofence) {
+    if (!scenarios.length || !rows.length) return rows;
+
+    const times = rows.map(row => new Date(row.timestamp).getTime());
+    const dataEnd = times.reduce((end, t) => (t > end ? t : end), -Infinity);
+    const active = scenarios
+        .filter(s => SCENARIO_TYPES[s.type])
+        .map(s => ({ cowId: String(s.cowId), onset: scenarioOnset(s.at, dataEnd), apply: SCENARIO_TYPES[s.type].apply }))
+        .filter(s => !Number.isNaN(s.onset));
+    const context = { geofence };
+
+    const result = [];
+    rows.forEach((original, i) => {
+        let row = original;
+        for (const s of active) {
+            if (String(row.cow_id) !== s.cowId || times[i] < s.onset) continue;
+            row = s.apply(row, (times[i] - s.onset) / MINUTE_MS, context);
+            if (!row) return; // Dropped
+        }
+        result.push(row);
+    });
+    return result;
+}
@@ -0,0 +1,68 @@
+// Seeded sensor noise (profiles in config/noiseProfiles.js).
+// No state: every draw is a hash of (seed, time, key), so the same inputs give the same output.
+
+const MINUTE_MS = 60 * 1000;
+
+// Uniform in [0, 1) from (seed, n, key)
+function hash(seed, n, key) {
+    let h = (seed ^ 0x9e3779b9) >>> 0;
+    h = Math.imul(h ^ (n >>> 0), 0x85ebca6b);
+    h = Math.imul(h ^ Math.floor(n / 4294967296), 0xc2b2ae35);
+    for (let i = 0; i < key.length; i++) h = Math.imul(h ^ key.charCodeAt(i), 0x5bd1e995);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x2c1b3c6d);
+    h ^= h >>> 12;
+    return (h >>> 0) / 4294967296;
+}
+
+function sample(distribution, seed, n, key) {
+    if (distribution === 'gaussian') {
+        // Box-Muller
+        const u = 1 - hash(seed, n, key + ':u');
+        const v = hash(seed, n, key + ':v');
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+    return (hash(seed, n, key) - 0.5) * 2; // uniform in [-1, 1)
+}
+
+// Smooth value noise in [-1, 1): hash at whole periods, eased in between
+function drift(seed, time, periodMs, key) {
+    const x = time / periodMs;
+    const i = Math.floor(x);
+    const f = x - i;
+    const ease = f * f * (3 - 2 * f);
+    const a = hash(seed, i, key + ':drift');
+    const b = hash(seed, i + 1, key + ':drift');
+    return (a + (b - a) * ease - 0.5) * 2;
+}
+
+/**
+ * Noisy copy of one row (the source row is never mutated).
+ * @param {Object} row - Sensor row; fields missing from the profile or not numeric are kept as is
+ * @param {number} time - Sample time (epoch ms), the noise "clock"
+ * @param {{fields: Object}} profile - Entry of NOISE_PROFILES
+ * @param {number} seed
+ * @returns {Object}
+ */
+export function applySensorNoise(row, time, profile, seed) {
+    const noisy = { ...row };
+    const n = Math.floor(time / 1000);
+
+    Object.entries(profile.fields).forEach(([field, spec]) => {
+        if (typeof row[field] !== 'number') return;
+        const key = `${row.cow_id}:${field}`;
+
+        if (spec.dropout && hash(seed, n, key + ':dropout') < spec.dropout) {
+            noisy[field] = null; // Missed reading
+            return;
+        }
+
+        let value = row[field] + sample(spec.distribution, seed, n, key) * (spec.amplitude || 0);
+        if (spec.drift) value += drift(seed, time, (spec.driftPeriodMin || 60) * MINUTE_MS, key) * spec.drift;
+        if (spec.min !== undefined) value = Math.max(spec.min, value);
+        if (spec.max !== undefined) value = Math.min(spec.max, value);
+        noisy[field] = value;
+    });
+
+    return noisy;
+}
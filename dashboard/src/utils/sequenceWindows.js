@@ -0,0 +1,28 @@
+// Rolling multi-channel windows over time-sorted rows (one cow).
+// Each window is flattened [t0c0, t0c1, ..., tNcK] to feed an [n, windowSize, channels] tensor,
+// and stamped with its last row's timestamp.
+// Layout ({ columns, windowSize, scaler }) is a manifest feature block; with a scaler, each channel
+// is standardized with its mean / std. The bundled models shipped without their training statistics,
+// so their scalers are fitted on the demo file named in scaler.fittedOn.
+export function buildSequenceWindows(rows, { columns, windowSize, scaler }, stride = 1) {
+    const windows = [];
+    const meta = [];
+    const mean = scaler ? scaler.mean : columns.map(() => 0);
+    const std = scaler ? scaler.std : columns.map(() => 1);
+
+    for (let end = windowSize; end <= rows.length; end += stride) {
+        const window = new Float32Array(windowSize * columns.length);
+        for (let t = 0; t < windowSize; t++) {
+            const row = rows[end - windowSize + t];
+            columns.forEach((col, k) => {
+                window[t * columns.length + k] = ((Number(row[col]) || 0) - mean[k]) / std[k];
+            });
+        }
+
+        const last = rows[end - 1];
+        windows.push(window);
+        meta.push({ timestamp: last.timestamp, cow_id: last.cow_id });
+    }
+
+    return { windows, meta };
+}
@@ -0,0 +1,67 @@
+import Papa from 'papaparse';
+
+// CSV parsing worker. Streams a URL (ranged downloads) or File through Papa in chunks, so a month
+// of per-minute telemetry never blocks the main thread, and rows reach the views as they arrive.
+//
+// Parse request:  { id, type: 'parse', input: url | File }
+// Chunk:          { id, type: 'chunk', rows: [...], progress: { rows, bytes, totalBytes } }
+// Done:           { id, type: 'done', progress }
+// Cancel request: { id, type: 'cancel' } (no further messages for that id)
+// Failures respond with { id, type: 'error', error }
+
+const CHUNK_BYTES = 1024 * 1024;
+
+const parsers = new Map(); // id -> Papa parser handle (known from the first chunk)
+const cancelled = new Set();
+
+// Content-Length for progress; null when the server doesn't say (e.g. compressed responses)
+function totalBytesOf(input) {
+    if (typeof input !== 'string') return Promise.resolve(input.size);
+    return fetch(input, { method: 'HEAD' })
+        .then(res => Number(res.headers.get('Content-Length')) || null)
+        .catch(() => null);
+}
+
+function parse(id, input) {
+    totalBytesOf(input).then(totalBytes => {
+        if (cancelled.has(id)) return;
+        let rows = 0;
+        let bytes = 0;
+
+        Papa.parse(input, {
+            download: typeof input === 'string',
+            header: true,
+            dynamicTyping: true,
+            skipEmptyLines: true,
+            chunkSize: CHUNK_BYTES,
+            chunk: (results, parser) => {
+                if (cancelled.has(id)) {
+                    parser.abort();
+                    return;
+                }
+                parsers.set(id, parser);
+                rows += results.data.length;
+                bytes = results.meta.cursor;
+                self.postMessage({ id, type: 'chunk', rows: results.data, progress: { rows, bytes, totalBytes } });
+            },
+            complete: () => {
+                parsers.delete(id);
+                if (cancelled.delete(id)) return;
+                self.postMessage({ id, type: 'done', progress: { rows, bytes: totalBytes ?? bytes, totalBytes } });
+            },
+            error: (err) => {
+                parsers.delete(id);
+                if (cancelled.delete(id)) return;
+                self.postMessage({ id, type: 'error', error: err.message || String(err) });
+            }
+        });
+    });
+}
+
+self.onmessage = ({ data: msg }) => {
+    if (msg.type === 'parse') parse(msg.id, msg.input);
+    else if (msg.type === 'cancel') {
+        cancelled.add(msg.id);
+        parsers.get(msg.id)?.abort();
+    }
+};
@@ -0,0 +1,188 @@
+import * as ort from 'onnxruntime-web/all';
+
+// Dedicated inference worker. Owns one InferenceSession per model under public/models/
+// so ONNX runs never block the chart timers on the main thread.
+//
+// Run request:      { id, type: 'run', model: '5cows/model_estrus_lstm.onnx', data: Float32Array, dims: [n, ...] }
+// Run response:     { id, predictions: [...n], probabilities: [[...], ...n] | null }
+// Describe request: { id, type: 'describe', model }
+// Describe response: { id, inputNames, outputNames, inputShapes }
+// Configure request: { id, type: 'configure', backend: 'auto' | 'webgpu' | 'webgl' | 'wasm', numThreads }
+// Capabilities request: { id, type: 'capabilities' }
+// Failures respond with { id, error }
+
+const MODEL_ROOT = import.meta.env.BASE_URL + 'models/';
+
+// Fallback order: anything that fails to load or run drops down to the next provider
+const BACKEND_CHAIN = ['webgpu', 'webgl', 'wasm'];
+
+const sessions = {};
+let settings = { backend: 'auto', numThreads: 0 };
+let capabilities = null;
+let queue = Promise.resolve(); // ort-web sessions can't run concurrently, so serialize
+
+async function detectCapabilities() {
+    if (!capabilities) {
+        const adapter = self.navigator?.gpu ? await self.navigator.gpu.requestAdapter().catch(() => null) : null;
+
+        let webgl = false;
+        try {
+            webgl = typeof OffscreenCanvas !== 'undefined' && !!new OffscreenCanvas(1, 1).getContext('webgl2');
+        } catch {
+            webgl = false;
+        }
+
+        capabilities = {
+            webgpu: !!adapter,
+            webgl,
+            wasm: typeof WebAssembly === 'object',
+            threads: !!self.crossOriginIsolated, // SharedArrayBuffer needs the COOP/COEP headers
+            hardwareConcurrency: self.navigator?.hardwareConcurrency || 1
+        };
+    }
+    return capabilities;
+}
+
+// Providers to try for a model, best first, skipping unsupported ones and any that already failed
+function backendCandidates(caps, failed = []) {
+    const start = settings.backend === 'auto' ? 0 : Math.max(0, BACKEND_CHAIN.indexOf(settings.backend));
+    return BACKEND_CHAIN.slice(start).filter(b => caps[b] && !failed.includes(b));
+}
+
+function configure(next) {
+    settings = { ...settings, ...next };
+
+    // Only takes effect before the wasm runtime initializes; the main thread restarts the worker for changes
+    if (settings.numThreads > 0) ort.env.wasm.numThreads = settings.numThreads;
+
+    return detectCapabilities().then(caps => ({ settings, capabilities: caps }));
+}
+
+async function createSession(model, failed) {
+    const caps = await detectCapabilities();
+    const candidates = backendCandidates(caps, failed);
+    let lastError = new Error('No supported execution backend');
+
+    for (const backend of candidates) {
+        const start = performance.now();
+        try {
+            const session = await ort.InferenceSession.create(MODEL_ROOT + model, { executionProviders: [backend] });
+            return { session, backend, failed, loadMs: performance.now() - start };
+        } catch (e) {
+            console.warn(`${model}: ${backend} backend failed, falling back`, e);
+            failed = [...failed, backend];
+            lastError = e;
+        }
+    }
+    throw lastError;
+}
+
+function getSession(model, failed = []) {
+    if (!sessions[model]) {
+        sessions[model] = createSession(model, failed).catch(e => {
+            delete sessions[model]; // Allow a retry on the next request
+            throw e;
+        });
+    }
+    return sessions[model];
+}
+
+async function runBatch({ model, data, dims }) {
+    let entry = await getSession(model);
+    const tensor = new ort.Tensor('float32', data, dims);
+
+    // Only fetch tensor outputs: sklearn-style probabilities are map sequences that ort-web can't read
+    const fetchesFor = session => session.outputNames.filter((name, i) => session.outputMetadata?.[i]?.isTensor !== false);
+    const noUsableOutput = session => new Error(
+        `${model}: no label or score tensor among its outputs (${session.outputNames.join(', ') || 'none'})`
+    );
+
+    let fetches = fetchesFor(entry.session);
+    if (!fetches.length) throw noUsableOutput(entry.session);
+    let results;
+    let runMs;
+    for (;;) {
+        const start = performance.now();
+        try {
+            results = await entry.session.run({ [entry.session.inputNames[0]]: tensor }, fetches);
+            runMs = performance.now() - start;
+            break;
+        } catch (e) {
+            // GPU providers can load a graph and still fail on an op at run time
+            if (entry.backend === 'wasm') throw e;
+            console.warn(`${model}: ${entry.backend} run failed, falling back`, e);
+            delete sessions[model];
+            entry = await getSession(model, [...entry.failed, entry.backend]);
+            fetches = fetchesFor(entry.session);
+            if (!fetches.length) throw noUsableOutput(entry.session);
+        }
+    }
+
+    // Split outputs into class labels (string / int64) and scores (float)
+    let labels = null;
+    let scores = null;
+    let width = 1;
+    fetches.forEach(name => {
+        const output = results[name];
+        if (output.type === 'string' || output.type === 'int64') {
+            if (!labels) labels = Array.from(output.data, v => typeof v === 'bigint' ? Number(v) : v);
+        } else if (!scores && (output.type === 'float32' || output.type === 'float64')) {
+            scores = output.data;
+            width = output.dims.length > 1 ? output.dims[output.dims.length - 1] : 1;
+        }
+    });
+    if (!labels && !scores) throw noUsableOutput(entry.session);
+
+    const n = dims[0];
+    const probabilities = scores
+        ? Array.from({ length: n }, (_, i) => Array.from(scores.subarray(i * width, (i + 1) * width)))
+        : null;
+
+    // Classifiers give labels directly; sigmoid / softmax heads are thresholded / argmaxed
+    const predictions = labels || probabilities.map(p => (
+        p.length === 1 ? (p[0] >= 0.5 ? 1 : 0) : p.indexOf(Math.max(...p))
+    ));
+
+    return {
+        predictions,
+        probabilities,
+        timing: { backend: entry.backend, loadMs: entry.loadMs, runMs, batchSize: n }
+    };
+}
+
+// Session signature, used by the model registry to validate against manifest.json
+async function describeModel({ model }) {
+    const { session } = await getSession(model);
+
+    // Symbolic / unknown dims come back as strings or 2^32-1; report them as -1
+    const normalizeDim = dim => (typeof dim === 'number' && dim < 2 ** 31 ? dim : -1);
+
+    return {
+        inputNames: session.inputNames,
+        outputNames: session.outputNames,
+        inputShapes: session.inputNames.map((name, i) => {
+            const shape = session.inputMetadata?.[i]?.shape;
+            return shape ? shape.map(normalizeDim) : null;
+        })
+    };
+}
+
+const HANDLERS = {
+    run: runBatch,
+    describe: describeModel,
+    configure,
+    capabilities: () => detectCapabilities().then(caps => ({ capabilities: caps }))
+};
+
+self.onmessage = (event) => {
+    const { id, type = 'run', ...request } = event.data;
+    const handler = HANDLERS[type];
+
+    queue = queue
+        .then(() => {
+            if (!handler) throw new Error(`Unknown request type: ${type}`);
+            return handler(request);
+        })
+        .then(result => self.postMessage({ id, ...result }))
+        .catch(e => self.postMessage({ id, error: e.message || String(e) }));
+};
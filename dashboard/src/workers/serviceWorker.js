@@ -0,0 +1,113 @@
+// Service worker for the offline / installable build. Emitted as sw.js next to index.html by the
+// serviceWorker() plugin in vite.config.js, which prepends self.__PRECACHE__ = { version, files }:
+// the app shell, the ort-wasm binaries and public/models, with a hash of their contents.
+//
+// Shell:    precached per version, served cache-first. A new version installs in the background and
+//           waits until the page applies it (hooks/useServiceWorker.js shows the prompt).
+// Datasets: CSVs are fetched whole and the last MAX_DATASETS used are kept, so the CSV worker's
+//           ranged reads still work offline. Requests made with cache: 'no-store' (version checks
+//           and deltas in data/sources.js) always go to the network.
+// Images:   cached on first use.
+
+const { version, files } = self.__PRECACHE__ || { version: 'dev', files: [] };
+
+const SHELL_CACHE = `sdash-shell-${version}`;
+const DATA_CACHE = 'sdash-data';
+const IMAGE_CACHE = 'sdash-images';
+const MAX_DATASETS = 3;
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(files.map(scoped))));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('sdash-shell-') && key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// --- Datasets ---
+
+function parseRange(header) {
+    const match = /^bytes=(\d+)-(\d*)$/.exec(header || '');
+    return match ? { start: Number(match[1]), end: match[2] ? Number(match[2]) : null } : null;
+}
+
+// Serve a byte range of a whole-file response the way a static server would
+function sliceResponse(response, range) {
+    if (!range) return response;
+
+    return response.blob().then(blob => {
+        if (range.start >= blob.size) {
+            return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+        }
+        const end = Math.min(range.end ?? blob.size - 1, blob.size - 1);
+        return new Response(blob.slice(range.start, end + 1), {
+            status: 206,
+            headers: {
+                'Content-Type': response.headers.get('Content-Type') || 'text/csv',
+                'Content-Range': `bytes ${range.start}-${end}/${blob.size}`,
+                'Content-Length': String(end - range.start + 1)
+            }
+        });
+    });
+}
+
+// Keep the copy just used, drop the least recently used beyond MAX_DATASETS
+function storeDataset(url, response) {
+    return caches.open(DATA_CACHE)
+        .then(cache => cache.delete(url).then(() => cache.put(url, response)).then(() => cache.keys()))
+        .then(keys => Promise.all(keys.slice(0, -MAX_DATASETS).map(key => caches.open(DATA_CACHE).then(cache => cache.delete(key)))));
+}
+
+// The start of a read refreshes the cached copy from the network (the cached one if that fails);
+// the rest of the ranges come from that copy, so one parse never mixes two versions of a file.
+function datasetResponse(request) {
+    const range = parseRange(request.headers.get('Range'));
+    const cached = () => caches.open(DATA_CACHE).then(cache => cache.match(request.url));
+
+    if (range && range.start > 0) {
+        return cached().then(response => (response ? sliceResponse(response, range) : fetch(request)));
+    }
+
+    return fetch(request.url)
+        .then(response => {
+            if (!response.ok) return response;
+            return storeDataset(request.url, response.clone())
+                .catch(e => console.error("Dataset cache write failed:", e))
+                .then(() => sliceResponse(response, range));
+        })
+        .catch(err => cached().then(response => {
+            if (!response) throw err;
+            return sliceResponse(response, range);
+        }));
+}
+
+// --- Requests ---
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(caches.match(scoped('index.html'), { cacheName: SHELL_CACHE }).then(response => response || fetch(request)));
+    } else if (url.pathname.endsWith('.csv')) {
+        if (request.cache !== 'no-store') event.respondWith(datasetResponse(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(caches.open(IMAGE_CACHE).then(cache => cache.match(request).then(hit => hit || fetch(request).then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        }))));
+    } else {
+        event.respondWith(caches.match(request, { cacheName: SHELL_CACHE }).then(response => response || fetch(request)));
+    }
+});
@@ -1,14 +1,56 @@
+import { createHash } from 'node:crypto'
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'node:fs'
+import { join, relative, resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Cross-origin isolation enables SharedArrayBuffer, which the threaded ort wasm backend needs
+const isolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp',
+}
+
+// Build output the service worker precaches (datasets and images are cached as they are used)
+const PRECACHE = [/^index\.html$/, /^manifest\.webmanifest$/, /^icon[-.]/, /^assets\//, /^ort-wasm[^/]*\.mjs$/, /^models\//]
+
+// Emits sw.js (src/workers/serviceWorker.js) with the precache list and a hash of those files, so a new
+// app build or a changed model gives a new worker and the installed dashboard offers the update
+function serviceWorker() {
+  let outDir
+
+  return {
+    name: 'sdash-service-worker',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+    },
+    closeBundle() {
+      if (!existsSync(join(outDir, 'index.html'))) return // Failed build
+
+      const files = readdirSync(outDir, { recursive: true, withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => relative(outDir, join(entry.parentPath, entry.name)).split('\\').join('/'))
+        .filter(file => PRECACHE.some(pattern => pattern.test(file)))
+        .sort()
+
+      const hash = createHash('sha256')
+      files.forEach(file => hash.update(file).update(readFileSync(join(outDir, file))))
+      const precache = { version: hash.digest('hex').slice(0, 12), files }
+
+      const source = readFileSync(resolve(import.meta.dirname, 'src/workers/serviceWorker.js'), 'utf8')
+      writeFileSync(join(outDir, 'sw.js'), `self.__PRECACHE__ = ${JSON.stringify(precache)};\n${source}`)
+    }
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     port: 3000,
-    headers: {
-      'Cross-Origin-Opener-Policy': 'same-origin',
-      'Cross-Origin-Embedder-Policy': 'require-corp',
-    }
+    headers: isolationHeaders
+  },
+  preview: {
+    headers: isolationHeaders
   }
 })
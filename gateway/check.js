@@ -0,0 +1,90 @@
+// Checks for the SQLite store (store.js): `npm run check`. Plain node + assert on an in-memory
+// database; the first failing check throws and exits non-zero.
+
+const assert = require('node:assert/strict');
+const { openStore, parseTime } = require('./store');
+
+const check = (name, fn) => {
+    fn();
+    console.log(`ok  ${name}`);
+};
+
+// 30 one-minute samples for two cows, as a collar export would list them
+const T0 = Date.UTC(2025, 0, 10, 12, 0);
+const ROWS = [];
+for (let i = 0; i < 30; i++) {
+    ['COW_01', 'COW_02'].forEach(cow => ROWS.push({ timestamp: T0 + i * 60000, cow_id: cow, activity_index: i }));
+}
+
+const fresh = () => {
+    const store = openStore(':memory:');
+    store.insert('farm', ROWS);
+    return store;
+};
+const key = (row) => `${row.cow_id}@${row.timestamp}`;
+
+// Poll the way the dashboard does: since = the last timestamp seen
+function pageThrough(store, limit) {
+    const seen = [];
+    let since = T0 - 1;
+    for (let polls = 0; polls < ROWS.length + 1; polls++) {
+        const page = store.farmRows('farm', { since, limit });
+        if (!page.length) return seen;
+        seen.push(...page);
+        since = page[page.length - 1].timestamp;
+    }
+    throw new Error(`paging with limit ${limit} did not finish`);
+}
+
+check('parseTime: epoch ms, digit strings, ISO and local date-time', () => {
+    assert.equal(parseTime(T0), T0);
+    assert.equal(parseTime(String(T0)), T0);
+    assert.equal(parseTime(new Date(T0).toISOString()), T0);
+    assert.equal(parseTime('2025-01-10 12:00:00'), new Date(2025, 0, 10, 12, 0).getTime());
+    assert.ok(Number.isNaN(parseTime('')));
+});
+
+check('insert: re-sent rows are ignored, rows without a time or cow rejected', () => {
+    const store = fresh();
+    const again = store.insert('farm', [ROWS[0], { timestamp: 'never', cow_id: 'COW_01' }, { timestamp: T0 }, null]);
+    assert.deepEqual(again, { inserted: [], rejected: 3 });
+    assert.deepEqual(store.cows('farm').map(c => [c.cow, c.rows]), [['COW_01', 30], ['COW_02', 30]]);
+});
+
+check('farmRows since: paging returns every row once, in time order, even mid-timestamp', () => {
+    const store = fresh();
+    [1, 2, 3, 7, 1000].forEach(limit => {
+        const seen = pageThrough(store, limit);
+        assert.deepEqual(seen.map(key), ROWS.map(key), `limit ${limit}`);
+    });
+});
+
+check('farmRows since: bad limits are clamped to a whole number in [1, MAX_LIMIT]', () => {
+    const store = fresh();
+    const since = T0 - 1;
+    // A page is finished through its last timestamp, so 1 row becomes both cows at T0
+    [-5, 0, '0', 0.5, '-1'].forEach(limit => assert.equal(store.farmRows('farm', { since, limit }).length, 2, `limit ${limit}`));
+    assert.equal(store.farmRows('farm', { since, limit: 2.5 }).length, 2);
+    assert.equal(store.farmRows('farm', { since, limit: '3' }).length, 4);
+    [undefined, null, '', 'abc', 1e9, Infinity].forEach(limit => {
+        assert.equal(store.farmRows('farm', { since, limit }).length, ROWS.length, `limit ${limit}`);
+    });
+    [-5, 2.5, 'abc'].forEach(limit => assert.deepEqual(pageThrough(store, limit).map(key), ROWS.map(key), `limit ${limit}`));
+});
+
+check('farmRows without since: the latest rows, oldest first', () => {
+    const store = fresh();
+    const latest = store.farmRows('farm', { limit: 4 });
+    assert.deepEqual(latest.map(r => r.activity_index), [28, 28, 29, 29]);
+    assert.equal(store.farmRows('farm', { limit: -5 }).length, 1);
+    assert.equal(store.farmRows('farm', { to: T0 + 60000 }).length, 4);
+});
+
+check('cowRows: one cow between from and to (inclusive)', () => {
+    const store = fresh();
+    const rows = store.cowRows('farm', 'COW_02', { from: T0 + 60000, to: T0 + 3 * 60000 });
+    assert.deepEqual(rows.map(r => r.activity_index), [1, 2, 3]);
+    assert.ok(rows.every(r => r.cow_id === 'COW_02'));
+    assert.equal(store.cowRows('farm', 'COW_02', { limit: 2.9 }).length, 2);
+    assert.equal(store.cowRows('farm', 'COW_02', { limit: -1 }).length, 1);
+});
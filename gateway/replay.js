@@ -0,0 +1,92 @@
+// CSV replay: plays recorded collar exports back through the gateway as if the rows were arriving
+// live. Rows are released in timestamp order at `speed` times real time.
+
+const fs = require('fs');
+const Papa = require('papaparse');
+const { parseTime, timeOf } = require('./store');
+
+const TICK_MS = 250;
+const DEFAULT_STEP_MS = 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Write a shifted time in the same style as the column it replaces (ISO or local 'yyyy-MM-dd HH:mm:ss')
+function formatLike(original, ms) {
+    const d = new Date(ms);
+    if (String(original).includes('T')) return d.toISOString();
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+function loadEntries(files) {
+    return files
+        .flatMap(file => Papa.parse(fs.readFileSync(file, 'utf8'), { header: true, dynamicTyping: true, skipEmptyLines: true }).data)
+        .map(row => ({ row, ts: parseTime(timeOf(row)) }))
+        .filter(entry => !Number.isNaN(entry.ts))
+        .sort((a, b) => a.ts - b.ts);
+}
+
+// Sampling interval of the data: the smallest gap between two timestamps
+function stepOf(entries) {
+    let step = Infinity;
+    for (let i = 1; i < entries.length; i++) {
+        const gap = entries[i].ts - entries[i - 1].ts;
+        if (gap > 0 && gap < step) step = gap;
+    }
+    return step === Infinity ? DEFAULT_STEP_MS : step;
+}
+
+/**
+ * Start replaying CSV files.
+ * @param {string[]} files
+ * @param {Object} options
+ * @param {number} [options.speed=60] - data time per real time (60: a minute of data every second)
+ * @param {boolean} [options.loop=false] - start over at the end; each pass is moved on by the file's span
+ * @param {boolean} [options.restamp=false] - shift timestamps so the first row is now
+ * @param {(rows: Array) => void} options.onRows - each batch of rows as it comes due
+ * @param {Function} [options.onEnd]
+ * @returns {{rows: number, from: number, to: number, stop: Function}}
+ */
+function startReplay(files, { speed = 60, loop = false, restamp = false, onRows, onEnd }) {
+    const entries = loadEntries(files);
+    if (!entries.length) throw new Error(`No timestamped rows in ${files.join(', ')}`);
+
+    const first = entries[0].ts;
+    const last = entries[entries.length - 1].ts;
+    const span = last - first + stepOf(entries);
+    const baseShift = restamp ? Date.now() - first : 0;
+
+    let pass = 0;
+    let index = 0;
+    let passStart = Date.now();
+
+    const stamp = ({ row, ts }) => {
+        const shift = baseShift + pass * span;
+        if (!shift) return row;
+        const field = 'timestamp' in row ? 'timestamp' : 'Timestamp';
+        return { ...row, [field]: formatLike(row[field], ts + shift) };
+    };
+
+    const tick = () => {
+        const reached = first + (Date.now() - passStart) * speed;
+        const batch = [];
+        while (index < entries.length && entries[index].ts <= reached) batch.push(stamp(entries[index++]));
+        if (batch.length) onRows(batch);
+        if (index < entries.length) return;
+
+        if (!loop) {
+            clearInterval(timer);
+            onEnd?.();
+            return;
+        }
+        pass++;
+        index = 0;
+        passStart += span / speed;
+    };
+
+    const timer = setInterval(tick, TICK_MS);
+    tick();
+
+    return { rows: entries.length, from: first, to: last, stop: () => clearInterval(timer) };
+}
+
+module.exports = { startReplay };
@@ -0,0 +1,276 @@
+// Local collar gateway: a stand-in for the barn gateway so the dashboard can be developed against a
+// streaming backend on a laptop. Stores telemetry in SQLite, serves it over REST and pushes new rows
+// over WebSocket.
+//
+//   node server.js [options]
+//
+// Options:
+//   --port N         HTTP / WebSocket port (default 8787)
+//   --db PATH        SQLite file (default telemetry.sqlite here; in memory when replaying)
+//   --replay FILES   play comma-separated CSVs back as live telemetry, e.g.
+//                    ../dashboard/public/data/cattle_dashboard_5cows_varied_health.csv
+//   --farm ID        farm the replayed rows belong to (default farm1)
+//   --speed N        replay speed, data time per real time (default 60: a minute of data per second)
+//   --loop           start the replay over at the end, moving each pass on in time
+//   --restamp        shift replayed timestamps so the first row is now
+//   --mqtt URL       also publish every new row to an MQTT broker, e.g. mqtt://localhost:1883
+//                    (a local Mosquitto: mosquitto -c mosquitto.conf, see that file)
+//   --mqtt-topic P   topic per row (default sdash/{farm}/{cow}/telemetry)
+//
+// API:
+//   POST /farms/:farm/telemetry                       rows as JSON: one row, an array, or { rows: [...] }
+//   GET  /farms/:farm/telemetry?since&to&limit        rows after `since` (the REST adapter's polling),
+//                                                     or the latest `limit` rows without it
+//   GET  /farms/:farm/cows                            cows with row counts and time range
+//   GET  /farms/:farm/cows/:cow/telemetry?from&to&limit   one cow's rows in a time window
+//   WS   /farms/:farm/stream?since                    new rows as JSON arrays (rows after `since` first)
+// Times are epoch ms, ISO or 'yyyy-MM-dd HH:mm:ss' (local). Rows need a timestamp and a cow_id
+// (or the raw IMU schema's Timestamp / AnimalID); a row already stored for that cow and time is ignored.
+//
+// Dashboard farm sources (dashboard/src/config/farms.js):
+//   { type: 'websocket', url: 'ws://localhost:8787/farms/farm1/stream' }
+//   { type: 'rest', url: 'http://localhost:8787/farms/farm1/telemetry', intervalMs: 5000 }
+//   { type: 'mqtt', url: 'ws://localhost:9001', topic: 'sdash/farm1/{cow}/telemetry' }   (with --mqtt)
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const mqtt = require('mqtt');
+const { WebSocketServer } = require('ws');
+const { openStore, parseTime, cowOf } = require('./store');
+const { startReplay } = require('./replay');
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+        args[key] = value;
+    }
+    return args;
+}
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+    res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+            } else chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch {
+                reject(new HttpError(400, 'Body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Optional time query parameter
+function timeParam(url, name) {
+    const value = url.searchParams.get(name);
+    if (value === null || value === '') return undefined;
+    const ms = parseTime(value);
+    if (Number.isNaN(ms)) throw new HttpError(400, `Invalid ${name}: ${value}`);
+    return ms;
+}
+
+// Path parameters from a route match; a malformed escape (e.g. %E0) is the client's error
+function decodeParams(match) {
+    try {
+        return match.slice(1).map(decodeURIComponent);
+    } catch {
+        throw new HttpError(400, 'Malformed escape in URL path');
+    }
+}
+
+// --- Gateway ---
+
+// publish: optional (farmId, rows) => void for the MQTT bridge
+function createGateway(store, publish) {
+    const subscribers = new Map(); // farm id -> Set of sockets
+
+    // Store rows and push the new ones to the farm's subscribers
+    const ingest = (farmId, rows) => {
+        const result = store.insert(farmId, rows);
+        if (result.inserted.length) {
+            const message = JSON.stringify(result.inserted);
+            subscribers.get(farmId)?.forEach(socket => {
+                if (socket.readyState === socket.OPEN) socket.send(message);
+            });
+            publish?.(farmId, result.inserted);
+        }
+        return { inserted: result.inserted.length, rejected: result.rejected };
+    };
+
+    const routes = [
+        ['POST', /^\/farms\/([^/]+)\/telemetry$/, (req, url, [farmId]) => readJson(req).then(body => {
+            const rows = Array.isArray(body) ? body : Array.isArray(body?.rows) ? body.rows : [body];
+            return ingest(farmId, rows);
+        })],
+        ['GET', /^\/farms\/([^/]+)\/telemetry$/, (req, url, [farmId]) => store.farmRows(farmId, {
+            since: timeParam(url, 'since') ?? null,
+            to: timeParam(url, 'to'),
+            limit: url.searchParams.get('limit')
+        })],
+        ['GET', /^\/farms\/([^/]+)\/cows$/, (req, url, [farmId]) => store.cows(farmId)],
+        ['GET', /^\/farms\/([^/]+)\/cows\/([^/]+)\/telemetry$/, (req, url, [farmId, cowId]) => store.cowRows(farmId, cowId, {
+            from: timeParam(url, 'from'),
+            to: timeParam(url, 'to'),
+            limit: url.searchParams.get('limit')
+        })],
+        ['GET', /^\/health$/, () => ({ ok: true, farms: [...subscribers.keys()] })]
+    ];
+
+    const server = http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            return res.end();
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const pathname = url.pathname.replace(/\/$/, '');
+        let handler = null;
+        let match = null;
+        for (const [method, pattern, route] of routes) {
+            match = pattern.exec(pathname);
+            if (match && method === req.method) {
+                handler = route;
+                break;
+            }
+        }
+        if (!handler) return sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+
+        Promise.resolve()
+            .then(() => handler(req, url, decodeParams(match)))
+            .then(body => sendJson(res, 200, body))
+            .catch(e => {
+                if (!(e instanceof HttpError)) console.error("Request failed:", e);
+                sendJson(res, e.status || 500, { error: e.message });
+            });
+    });
+
+    const wss = new WebSocketServer({ noServer: true });
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        const match = /^\/farms\/([^/]+)\/stream\/?$/.exec(url.pathname);
+        if (!match) return socket.destroy();
+
+        let farmId;
+        try {
+            [farmId] = decodeParams(match);
+        } catch {
+            return socket.destroy();
+        }
+
+        wss.handleUpgrade(req, socket, head, ws => {
+            if (!subscribers.has(farmId)) subscribers.set(farmId, new Set());
+            subscribers.get(farmId).add(ws);
+            ws.on('close', () => subscribers.get(farmId).delete(ws));
+
+            // Catch up a reconnecting client
+            const since = parseTime(url.searchParams.get('since'));
+            if (!Number.isNaN(since)) {
+                const rows = store.farmRows(farmId, { since });
+                if (rows.length) ws.send(JSON.stringify(rows));
+            }
+        });
+    });
+
+    return { server, ingest };
+}
+
+// --- MQTT Bridge ---
+
+// Publishes each row on its own topic, as a collar gateway would
+function createPublisher(url, topicPattern) {
+    const client = mqtt.connect(url);
+    client.on('connect', () => console.log(`Publishing to ${url} (${topicPattern})`));
+    client.on('error', (e) => console.error("MQTT publish failed:", e.message));
+
+    // Rows published before the connection is up are queued by the client
+    const publish = (farmId, rows) => {
+        rows.forEach(row => {
+            const topic = topicPattern.replace('{farm}', farmId).replace('{cow}', String(cowOf(row)));
+            client.publish(topic, JSON.stringify(row));
+        });
+    };
+    publish.close = () => client.end();
+    return publish;
+}
+
+// --- Main ---
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').split(/\r?\n\r?\n/)[0].replace(/^\/\/ ?/gm, ''));
+        return;
+    }
+
+    const port = Number(args.port || 8787);
+    const replayFiles = typeof args.replay === 'string' ? args.replay.split(',').map(file => path.resolve(file)) : [];
+    const speed = Number(args.speed || 60);
+    const dbFile = args.db || (replayFiles.length ? ':memory:' : path.join(__dirname, 'telemetry.sqlite'));
+
+    if (!(port > 0) || !(speed > 0)) throw new Error('--port and --speed must be positive');
+    if (args.replay && !replayFiles.length) throw new Error('--replay needs one or more CSV files');
+
+    const store = openStore(dbFile);
+    const publish = typeof args.mqtt === 'string' ? createPublisher(args.mqtt, args['mqtt-topic'] || 'sdash/{farm}/{cow}/telemetry') : null;
+    const { server, ingest } = createGateway(store, publish);
+    server.listen(port, () => console.log(`Gateway listening on http://localhost:${port} (db: ${dbFile})`));
+
+    if (replayFiles.length) {
+        const farmId = args.farm || 'farm1';
+        const replay = startReplay(replayFiles, {
+            speed,
+            loop: Boolean(args.loop),
+            restamp: Boolean(args.restamp),
+            onRows: (rows) => ingest(farmId, rows),
+            onEnd: () => console.log('Replay finished')
+        });
+        console.log(`Replaying ${replay.rows} rows into ${farmId} at ${speed}x...`);
+    }
+
+    process.on('SIGINT', () => {
+        server.close();
+        publish?.close();
+        store.close();
+        process.exit(0);
+    });
+}
+
+try {
+    main();
+} catch (e) {
+    console.error('Gateway failed:', e.message);
+    process.exit(1);
+}
@@ -0,0 +1,114 @@
+// SQLite telemetry store. One table of rows as received, keyed by farm, cow and time; the full
+// row is kept as JSON so any collar schema (health summaries, raw IMU, ...) round-trips unchanged.
+
+const Database = require('better-sqlite3');
+
+const DEFAULT_LIMIT = 10000;
+const EARLIEST = Number.MIN_SAFE_INTEGER;
+const LATEST = Number.MAX_SAFE_INTEGER;
+const MAX_LIMIT = 100000;
+
+// Collar exports disagree on column names (see dashboard/src/data/schemas.js)
+const timeOf = (row) => row.timestamp ?? row.Timestamp;
+const cowOf = (row) => row.cow_id ?? row.AnimalID;
+
+/**
+ * Epoch ms from a timestamp column or query value: epoch ms, ISO, or 'yyyy-MM-dd HH:mm:ss' (local time).
+ * @returns {number} NaN if unparseable
+ */
+function parseTime(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || !value.trim()) return NaN;
+    if (/^\d+$/.test(value)) return Number(value);
+    return new Date(value.trim().replace(' ', 'T')).getTime();
+}
+
+function openStore(file) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS telemetry (
+            id      INTEGER PRIMARY KEY,
+            farm_id TEXT NOT NULL,
+            cow_id  TEXT NOT NULL,
+            ts      INTEGER NOT NULL,
+            row     TEXT NOT NULL,
+            UNIQUE (farm_id, cow_id, ts)
+        );
+        CREATE INDEX IF NOT EXISTS telemetry_farm_ts ON telemetry (farm_id, ts);
+    `);
+
+    // Re-sent rows (gateway retries) are ignored rather than duplicated
+    const insert = db.prepare('INSERT OR IGNORE INTO telemetry (farm_id, cow_id, ts, row) VALUES (?, ?, ?, ?)');
+    const cowWindow = db.prepare(`
+        SELECT row FROM telemetry WHERE farm_id = ? AND cow_id = ? AND ts >= ? AND ts <= ?
+        ORDER BY ts LIMIT ?`);
+    const farmWindow = db.prepare(`
+        SELECT id, ts, row FROM telemetry WHERE farm_id = ? AND ts > ? AND ts <= ?
+        ORDER BY ts, id LIMIT ?`);
+    // The rest of a page's last timestamp (several cows share each sample time)
+    const farmTail = db.prepare(`
+        SELECT id, ts, row FROM telemetry WHERE farm_id = ? AND ts = ? AND id > ?
+        ORDER BY id`);
+    // No lower bound: the latest rows, returned oldest first
+    const farmLatest = db.prepare(`
+        SELECT row FROM (SELECT id, ts, row FROM telemetry WHERE farm_id = ? AND ts <= ? ORDER BY ts DESC LIMIT ?)
+        ORDER BY ts, id`);
+    const cowSummary = db.prepare(`
+        SELECT cow_id AS cow, COUNT(*) AS rows, MIN(ts) AS first, MAX(ts) AS last
+        FROM telemetry WHERE farm_id = ? GROUP BY cow_id ORDER BY cow_id`);
+
+    const rowsOf = (records) => records.map(record => JSON.parse(record.row));
+    // A whole number of rows in [1, MAX_LIMIT]: SQLite reads a negative LIMIT as none, and
+    // better-sqlite3 rejects fractions. Missing or unparseable gives DEFAULT_LIMIT.
+    const clampLimit = (limit) => {
+        const n = limit === undefined || limit === null || limit === '' ? NaN : Math.trunc(Number(limit));
+        return Number.isNaN(n) ? DEFAULT_LIMIT : Math.min(Math.max(n, 1), MAX_LIMIT);
+    };
+
+    // A full page is finished through its last timestamp, so the next poll (since = that time)
+    // doesn't skip the cows left over at it. The page can run past the limit by those rows.
+    const farmPage = (farmId, since, to, limit) => {
+        const records = farmWindow.all(farmId, since, to, limit);
+        if (records.length < limit) return records;
+        const last = records[records.length - 1];
+        return records.concat(farmTail.all(farmId, last.ts, last.id));
+    };
+
+    return {
+        /**
+         * Store rows for a farm.
+         * @returns {{inserted: Array, rejected: number}} inserted: the rows that were new
+         */
+        insert: db.transaction((farmId, rows) => {
+            const inserted = [];
+            let rejected = 0;
+            rows.forEach(row => {
+                const isRow = row !== null && typeof row === 'object';
+                const ts = isRow ? parseTime(timeOf(row)) : NaN;
+                const cow = isRow ? cowOf(row) : null;
+                if (Number.isNaN(ts) || cow === undefined || cow === null || cow === '') {
+                    rejected++;
+                    return;
+                }
+                if (insert.run(farmId, String(cow), ts, JSON.stringify(row)).changes) inserted.push(row);
+            });
+            return { inserted, rejected };
+        }),
+
+        // One cow between from and to (inclusive)
+        cowRows: (farmId, cowId, { from = EARLIEST, to = LATEST, limit } = {}) =>
+            rowsOf(cowWindow.all(farmId, cowId, from, to, clampLimit(limit))),
+
+        // Whole farm after `since` (exclusive, for polling) or the latest rows up to `to`
+        farmRows: (farmId, { since = null, to = LATEST, limit } = {}) => (since === null
+            ? rowsOf(farmLatest.all(farmId, to, clampLimit(limit)))
+            : rowsOf(farmPage(farmId, since, to, clampLimit(limit)))),
+
+        cows: (farmId) => cowSummary.all(farmId),
+
+        close: () => db.close()
+    };
+}
+
+module.exports = { openStore, parseTime, timeOf, cowOf };
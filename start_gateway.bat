@@ -0,0 +1,6 @@
+@echo off
+echo Starting S-Dash collar gateway (replaying demo data)...
+cd gateway
+if not exist node_modules call npm install
+npm run replay
+pause